@@ -0,0 +1,71 @@
+// Benchmarks POI lookups on a synthetic dataset and fails if the average exceeds the budget.
+// Usage: npm run bench [-- <poiCount>]
+const { SpatialIndex, haversine } = require('../lib/spatialIndex');
+
+const POI_COUNT = parseInt(process.argv[2], 10) || 150000;
+const QUERY_COUNT = 5000;
+const BUDGET_MS = 1;
+
+const BBOX = [72.9, 33.55, 73.2, 33.8];
+
+// Deterministic PRNG so runs are comparable
+let seed = 42;
+const random = () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const randomCoord = () => [
+  BBOX[0] + random() * (BBOX[2] - BBOX[0]),
+  BBOX[1] + random() * (BBOX[3] - BBOX[1]),
+];
+
+const pois = Array.from({ length: POI_COUNT }, (_, i) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: randomCoord() },
+  properties: { id: i, category: i % 5 === 0 ? 'Health' : 'Other' },
+}));
+const queries = Array.from({ length: QUERY_COUNT }, randomCoord);
+
+const time = (fn) => {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+};
+
+let index;
+const buildMs = time(() => {
+  index = SpatialIndex.forPoints(pois);
+});
+
+const cases = {
+  'nearest (k=1)': (q) => index.nearest(q),
+  'nearest (k=10)': (q) => index.nearest(q, { k: 10 }),
+  'nearest Health (k=5)': (q) => index.nearest(q, { k: 5, filter: (f) => f.properties.category === 'Health' }),
+  'within 500 m': (q) => index.within(q, 500),
+  'bbox ~1 km': ([lng, lat]) => index.search([lng - 0.005, lat - 0.005, lng + 0.005, lat + 0.005]),
+};
+
+// Spot-check against a linear scan so a fast but wrong index cannot pass
+const wrong = queries.slice(0, 50).filter((q) => {
+  let best = Infinity;
+  pois.forEach((p) => {
+    best = Math.min(best, haversine(q, p.geometry.coordinates));
+  });
+  return Math.abs(index.nearest(q)[0].distance - best) > 1e-6;
+});
+
+console.log(`Indexed ${POI_COUNT} POIs in ${buildMs.toFixed(1)} ms`);
+
+let failed = wrong.length > 0;
+if (failed) console.error(`✗ ${wrong.length} nearest results differ from a linear scan`);
+
+Object.entries(cases).forEach(([name, fn]) => {
+  queries.slice(0, 200).forEach(fn);
+  const avg = time(() => queries.forEach(fn)) / QUERY_COUNT;
+  const ok = avg < BUDGET_MS;
+  if (!ok) failed = true;
+  console.log(`${ok ? '✓' : '✗'} ${name.padEnd(22)} ${(avg * 1000).toFixed(1)} µs/query`);
+});
+
+process.exit(failed ? 1 : 0);
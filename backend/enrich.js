@@ -1,65 +1,128 @@
 import fs from "fs";
 import path from "path";
+import { categorize, compileCategoryRules } from "./lib/categoryRules.js";
+import { deduplicate } from "./lib/dedup.js";
 
 const rawPath = path.join(process.cwd(), "data", "rawPois.geojson");
 const outPath = path.join(process.cwd(), "data", "enrichedPois.geojson");
+const reviewPath = path.join(process.cwd(), "data", "dedupReview.json");
+const rulesPath = process.env.ENRICH_RULES || path.join(process.cwd(), "rules", "enrichment.json");
+const dryRun = process.argv.includes("--dry-run");
 
 const raw = JSON.parse(fs.readFileSync(rawPath));
+const rules = JSON.parse(fs.readFileSync(rulesPath));
+const categoryRules = compileCategoryRules(rules.categories);
 
-const categoryMap = [
-  { keyword: "school", category: "Education" },
-  { keyword: "college", category: "Education" },
-  { keyword: "university", category: "Education" },
-  { keyword: "hospital", category: "Health" },
-  { keyword: "clinic", category: "Health" },
-  { keyword: "pharmacy", category: "Health" },
-  { keyword: "park", category: "Recreation" },
-  { keyword: "garden", category: "Recreation" },
-  { keyword: "mosque", category: "Religious" },
-  { keyword: "masjid", category: "Religious" },
-  { keyword: "church", category: "Religious" },
-  { keyword: "mall", category: "Commercial" },
-  { keyword: "market", category: "Commercial" },
-  { keyword: "shop", category: "Commercial" },
-];
-
-function inferCategory(name = "") {
-  const lower = name.toLowerCase();
-  for (let rule of categoryMap) {
-    if (lower.includes(rule.keyword)) return rule.category;
-  }
-  return "Unknown";
+// The categories of the current output, so the report can show what this run changes
+const previous = new Map();
+if (fs.existsSync(outPath)) {
+  JSON.parse(fs.readFileSync(outPath)).features.forEach((f) => {
+    previous.set(f.properties?.id, f.properties?.category || "Unknown");
+  });
 }
 
 function normalizeName(name = "") {
   return name.trim().replace(/\s+/g, " ");
 }
 
-const enrichedFeatures = raw.features.map((f) => {
-  const name = f.properties?.name || "";
+let dedupReport = null;
 
-  return {
-    ...f,
-    properties: {
-      ...f.properties,
+// Each stage takes and returns the full feature list, in order
+const stages = [
+  {
+    name: "clean",
+    run: (features) => features.map((f) => ({
+      ...f,
+      properties: {
+        ...f.properties,
+        clean_name: normalizeName(f.properties?.name || ""),
+        coords_valid: Array.isArray(f.geometry?.coordinates),
+        source: "Enriched by script v2",
+        address_normalized: f.properties?.address
+          ? f.properties.address.toLowerCase()
+          : "N/A",
+      },
+    })),
+  },
+  {
+    name: "dedup",
+    run: (features) => {
+      const result = deduplicate(features, rules.dedup);
+      dedupReport = result;
+      return result.features;
+    },
+  },
+  {
+    name: "categorize",
+    run: (features) => features.map((f) => {
+      const { category, rule } = categorize(f, categoryRules);
+      return { ...f, properties: { ...f.properties, category, category_rule: rule } };
+    }),
+  },
+];
 
-      clean_name: normalizeName(name),
-      category: f.properties?.category || inferCategory(name),
-      coords_valid: Array.isArray(f.geometry?.coordinates),
-      source: "Enriched by script v1",
+const count = (values) => values.reduce((counts, value) => counts.set(value, (counts.get(value) || 0) + 1), new Map());
 
-      address_normalized: f.properties?.address
-        ? f.properties.address.toLowerCase()
-        : "N/A",
-    },
-  };
-});
+function printReport(features) {
+  const after = count(features.map((f) => f.properties.category));
+  const before = count([...previous.values()]);
+  const categories = [...new Set([...before.keys(), ...after.keys()])]
+    .sort((a, b) => (after.get(b) || 0) - (after.get(a) || 0));
 
-fs.writeFileSync(
-  outPath,
-  JSON.stringify({ type: "FeatureCollection", features: enrichedFeatures }, null, 2)
-);
+  console.log("\nCategory        before   after  change");
+  categories.forEach((category) => {
+    const b = before.get(category) || 0;
+    const a = after.get(category) || 0;
+    const change = a - b > 0 ? `+${a - b}` : String(a - b);
+    console.log(`${category.padEnd(14)} ${String(b).padStart(7)} ${String(a).padStart(7)} ${change.padStart(7)}`);
+  });
 
-console.log("✨ Enrichment complete →", outPath);
+  console.log("\nRule                     POIs");
+  [...count(features.map((f) => f.properties.category_rule))]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([rule, n]) => console.log(`${rule.padEnd(24)} ${String(n).padStart(5)}`));
 
+  const moves = count(features
+    .filter((f) => previous.has(f.properties.id) && previous.get(f.properties.id) !== f.properties.category)
+    .map((f) => `${previous.get(f.properties.id)} -> ${f.properties.category}`));
+  if (moves.size) {
+    console.log("\nRecategorized");
+    [...moves]
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([move, n]) => console.log(`${move.padEnd(30)} ${String(n).padStart(5)}`));
+  }
+}
 
+function printDedupReport({ merged, review, config }) {
+  const removed = merged.reduce((sum, m) => sum + m.merged.length, 0);
+  console.log(`\nDuplicates: merged ${removed} POIs into ${merged.length}, ${review.length} uncertain pairs left for review`);
+  merged
+    .slice()
+    .sort((a, b) => b.merged.length - a.merged.length)
+    .slice(0, 10)
+    .forEach((m) => console.log(`  ${m.kept.id} ${m.names.join(" / ")} <- ${m.merged.join(", ")}`));
+
+  if (!dryRun) {
+    fs.writeFileSync(reviewPath, JSON.stringify({ thresholds: config, merged, review }, null, 2));
+    console.log(`Review report → ${reviewPath}`);
+  }
+}
+
+let features = raw.features;
+stages.forEach((stage) => {
+  features = stage.run(features);
+  console.log(`${stage.name}: ${features.length} POIs`);
+});
+
+printDedupReport(dedupReport);
+printReport(features);
+
+if (dryRun) {
+  console.log("\nDry run, nothing written");
+} else {
+  fs.writeFileSync(
+    outPath,
+    JSON.stringify({ type: "FeatureCollection", features }, null, 2)
+  );
+  console.log("\n✨ Enrichment complete →", outPath);
+}
@@ -0,0 +1,63 @@
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+
+const boundaryPath = path.join(process.cwd(), "data", "islamabad.geojson");
+const outPath = path.join(process.cwd(), "data", "roads.geojson");
+
+const OVERPASS_URL = process.env.OVERPASS_URL || "https://overpass-api.de/api/interpreter";
+
+const highwayTypes = [
+  "motorway", "motorway_link", "trunk", "trunk_link",
+  "primary", "primary_link", "secondary", "secondary_link",
+  "tertiary", "tertiary_link", "unclassified", "residential",
+  "living_street", "service", "road",
+  "pedestrian", "footway", "path", "steps", "cycleway", "track",
+];
+
+function boundaryBBox() {
+  const boundary = JSON.parse(fs.readFileSync(boundaryPath));
+  const coords = boundary.features.flatMap((f) => f.geometry.coordinates.flat());
+  const lngs = coords.map((c) => c[0]);
+  const lats = coords.map((c) => c[1]);
+  return [Math.min(...lats), Math.min(...lngs), Math.max(...lats), Math.max(...lngs)];
+}
+
+const bbox = boundaryBBox().join(",");
+const query = `
+[out:json][timeout:180];
+way["highway"~"^(${highwayTypes.join("|")})$"](${bbox});
+out geom;
+`;
+
+console.log("Fetching road network from Overpass for bbox", bbox);
+const response = await axios.post(OVERPASS_URL, `data=${encodeURIComponent(query)}`, {
+  headers: { "Content-Type": "application/x-www-form-urlencoded" },
+});
+
+const fetchTimestamp = new Date().toISOString();
+const features = (response.data.elements || [])
+  .filter((el) => el.type === "way" && el.geometry?.length > 1)
+  .map((el) => ({
+    type: "Feature",
+    geometry: {
+      type: "LineString",
+      coordinates: el.geometry.map((g) => [g.lon, g.lat]),
+    },
+    properties: {
+      id: el.id,
+      name: el.tags?.["name:en"] || el.tags?.name || "",
+      highway: el.tags?.highway,
+      oneway: el.tags?.oneway || null,
+      maxspeed: el.tags?.maxspeed || null,
+      junction: el.tags?.junction || null,
+      ref: el.tags?.ref || null,
+      source: "Overpass/OSM",
+      fetch_timestamp: fetchTimestamp,
+      tags: el.tags || {},
+    },
+  }));
+
+fs.writeFileSync(outPath, JSON.stringify({ type: "FeatureCollection", features }));
+
+console.log(`🛣️  Saved ${features.length} road segments →`, outPath);
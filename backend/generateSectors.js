@@ -0,0 +1,80 @@
+import fs from "fs";
+import path from "path";
+
+const outPath = path.join(process.cwd(), "data", "sectors.geojson");
+
+// Islamabad's sectors form a tilted grid: letters step south-east (E, F, G, H, I), numbers step
+// south-west. The origin and both steps are a least-squares fit to the markaz locations of sixteen
+// sectors, so every sector lands within roughly 800 m of where it really is. Good enough for
+// geocoding an address to its sector, not for drawing official boundaries.
+const ORIGIN = { sector: "F-7", lat: 33.7197, lng: 73.0571 };
+const LETTER_STEP = { lat: -0.0149, lng: 0.0110 };
+const NUMBER_STEP = { lat: -0.0092, lng: -0.0174 };
+
+const LETTERS = ["D", "E", "F", "G", "H", "I"];
+const SECTORS = {
+  D: [12, 13, 14, 15, 16, 17, 18],
+  E: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18],
+  F: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
+  G: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
+  H: [8, 9, 10, 11, 12, 13, 14, 15, 16, 17],
+  I: [8, 9, 10, 11, 12, 14, 15, 16, 17, 18],
+};
+
+// Sub-sectors split the sector into quarters: /1 and /2 on the higher-number (west) side,
+// /2 and /3 on the Margalla (north) side
+const SUBSECTORS = [
+  { sub: 1, letter: 0.25, number: 0.25 },
+  { sub: 2, letter: -0.25, number: 0.25 },
+  { sub: 3, letter: -0.25, number: -0.25 },
+  { sub: 4, letter: 0.25, number: -0.25 },
+];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const gridPoint = (letterOffset, numberOffset) => [
+  round(ORIGIN.lng + letterOffset * LETTER_STEP.lng + numberOffset * NUMBER_STEP.lng),
+  round(ORIGIN.lat + letterOffset * LETTER_STEP.lat + numberOffset * NUMBER_STEP.lat),
+];
+
+// Parallelogram of `size` grid steps around a grid position
+function cell(letterOffset, numberOffset, size) {
+  const h = size / 2;
+  const ring = [
+    gridPoint(letterOffset - h, numberOffset - h),
+    gridPoint(letterOffset - h, numberOffset + h),
+    gridPoint(letterOffset + h, numberOffset + h),
+    gridPoint(letterOffset + h, numberOffset - h),
+  ];
+  return { type: "Polygon", coordinates: [[...ring, ring[0]]] };
+}
+
+const originLetter = LETTERS.indexOf(ORIGIN.sector[0]);
+const originNumber = Number(ORIGIN.sector.slice(2));
+const features = [];
+
+Object.entries(SECTORS).forEach(([letter, numbers]) => {
+  numbers.forEach((number) => {
+    const l = LETTERS.indexOf(letter) - originLetter;
+    const n = number - originNumber;
+    const sector = `${letter}-${number}`;
+    const common = { letter, number, source: "approx", note: "Generated from a fitted sector grid, not surveyed boundaries" };
+
+    features.push({
+      type: "Feature",
+      properties: { name: sector, sector, level: "sector", ...common },
+      geometry: cell(l, n, 1),
+    });
+
+    SUBSECTORS.forEach(({ sub, letter: dl, number: dn }) => {
+      features.push({
+        type: "Feature",
+        properties: { name: `${sector}/${sub}`, sector, subsector: sub, level: "subsector", ...common },
+        geometry: cell(l + dl, n + dn, 0.5),
+      });
+    });
+  });
+});
+
+fs.writeFileSync(outPath, JSON.stringify({ type: "FeatureCollection", features }, null, 2));
+console.log(`Wrote ${features.length} sector and sub-sector polygons to ${outPath}`);
@@ -2,8 +2,39 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
+const crypto = require('crypto');
 const turf = require('@turf/turf');
+const { buildRoadIndex, loadRoadGraphs } = require('./lib/roadGraph');
+const { MAX_SNAP_M, computeRoute, engineWarning, resolveEngine, snapPoint } = require('./lib/routing');
+const { RequestError } = require('./lib/errors');
+const { computeIsochrones, parseMinutes } = require('./lib/isochrone');
+const { computeServiceAreas, listCategories, matchesPoi, poiFilters } = require('./lib/serviceAreas');
+const { computeCoverageGaps } = require('./lib/coverage');
+const { SpatialIndex } = require('./lib/spatialIndex');
+const { compassDirection } = require('./lib/instructions');
+const { clusterPois, parseBBox, queryPois } = require('./lib/pois');
+const { createTileSource } = require('./lib/tiles');
+const { buildMatrix, matrixToCsv, parseLocations } = require('./lib/matrix');
+const { SearchIndex } = require('./lib/searchIndex');
+const { createAddressGeocoder, parseAddress } = require('./lib/addressGeocoder');
+const { DEFAULT_REVERSE_MAX_KM, MAX_REVERSE_MAX_KM, createGeocoder, parseLang } = require('./lib/geocoding');
+const { applyClosures, closureImpact, createClosureStore } = require('./lib/closures');
+const { matchTrace, parseTrace } = require('./lib/mapMatching');
+const {
+  REVERSE_COLUMNS,
+  SEARCH_COLUMNS,
+  SYNC_MAX_ROWS,
+  createJobStore,
+  describeJob,
+  parseReverseRows,
+  parseSearchRows,
+  reverseRow,
+  safely,
+  searchRow,
+  summarize,
+  toCsv,
+  toGeoJSON,
+} = require('./lib/batch');
 
 const app = express();
 
@@ -76,7 +107,8 @@ app.use('/data', (req, res, next) => {
   next();
 });
 
-app.use(express.json());
+// Batch geocoding posts up to a few thousand rows
+app.use(express.json({ limit: '5mb' }));
 
 const dataPath = path.join(__dirname, 'data');
 console.log('Serving data from:', dataPath);
@@ -84,7 +116,9 @@ console.log('Absolute path:', path.resolve(dataPath));
 
 let enrichedPOIs = null;
 let poiCollection = null;
-let healthBuffers = null;
+let poiIndex = null;
+let searchIndex = null;
+let poisById = new Map();
 try {
   const enrichedPOIsPath = path.join(dataPath, 'enrichedPois.geojson');
   const rawPOIsPath = path.join(dataPath, 'rawPois.geojson');
@@ -101,25 +135,106 @@ try {
     console.warn('No POI data found (enrichedPois.geojson or rawPois.geojson), geocoding endpoints will not work');
   }
 
-  if (poiCollection?.features?.length) {
-    const healthFeatures = poiCollection.features.filter(
-      (f) => (f.properties?.category || '').toLowerCase() === 'health'
-    );
-    if (healthFeatures.length) {
-      healthBuffers = turf.buffer(
-        turf.featureCollection(healthFeatures),
-        0.5, 
-        { units: 'kilometers' }
-      );
-      console.log(`Computed health buffers for ${healthFeatures.length} health POIs (500m)`);
-    } else {
-      console.warn('No health POIs found to buffer');
-    }
+  if (poiCollection) {
+    poiIndex = SpatialIndex.forPoints(poiCollection.features.filter((f) => f.geometry?.type === 'Point'));
+    console.log(`Indexed ${poiIndex.size} POIs for spatial queries`);
+    searchIndex = new SearchIndex(poiCollection.features.filter((f) => f.geometry?.type === 'Point'));
+    console.log(`Indexed ${searchIndex.terms.length} name terms for search`);
+    poisById = new Map(poiCollection.features
+      .filter((f) => f.geometry?.type === 'Point' && f.properties?.id !== undefined)
+      .map((f) => [String(f.properties.id), f]));
+
+    // Ids that dedup folded into another POI still resolve, to the POI that absorbed them
+    let aliasCount = 0;
+    poiCollection.features.forEach((f) => {
+      if (f.geometry?.type !== 'Point') return;
+      (f.properties?.merged_from || []).forEach((id) => {
+        if (id === null || poisById.has(String(id))) return;
+        poisById.set(String(id), f);
+        aliasCount++;
+      });
+    });
+    if (aliasCount) console.log(`Kept ${aliasCount} merged POI ids as aliases`);
   }
 } catch (error) {
   console.error('Error loading enriched POIs:', error.message);
 }
 
+let boundary = null;
+try {
+  const boundaryPath = path.join(dataPath, 'islamabad.geojson');
+
+  if (fs.existsSync(boundaryPath)) {
+    boundary = JSON.parse(fs.readFileSync(boundaryPath, 'utf8'));
+    console.log(`Loaded Islamabad boundary with ${boundary.features.length} features (islamabad.geojson)`);
+  } else {
+    console.warn('No boundary found (islamabad.geojson), coverage analysis will not work');
+  }
+} catch (error) {
+  console.error('Error loading boundary:', error.message);
+}
+
+let addressGeocoder = null;
+try {
+  const sectorsPath = path.join(dataPath, 'sectors.geojson');
+
+  if (fs.existsSync(sectorsPath)) {
+    addressGeocoder = createAddressGeocoder(JSON.parse(fs.readFileSync(sectorsPath, 'utf8')), poiCollection);
+    console.log(`Loaded ${addressGeocoder.size} sector and sub-sector polygons for address geocoding (sectors.geojson)`);
+  } else {
+    console.warn('No sector data found (sectors.geojson), run `npm run sectors` to enable address geocoding');
+  }
+} catch (error) {
+  console.error('Error loading sectors:', error.message);
+}
+
+let tileSource = null;
+try {
+  if (poiCollection || boundary) {
+    tileSource = createTileSource(poiCollection, boundary);
+    console.log(`Vector tiles ready with layers: ${tileSource.layerNames.join(', ')}`);
+  }
+} catch (error) {
+  console.error('Error building vector tiles:', error.message);
+}
+
+let roadGraphs = null;
+let roadIndex = null;
+try {
+  const roadsPath = path.join(dataPath, 'roads.geojson');
+
+  if (fs.existsSync(roadsPath)) {
+    roadGraphs = loadRoadGraphs(roadsPath);
+    Object.values(roadGraphs).forEach((graph) => {
+      console.log(`Built ${graph.profile} road graph with ${graph.nodes.length} nodes and ${graph.edgeCount} segments (roads.geojson)`);
+    });
+    roadIndex = buildRoadIndex(roadGraphs.driving.features);
+  } else {
+    console.warn('No road network found (roads.geojson), run `npm run fetch-roads` to enable local routing; routing falls back to OSRM');
+  }
+  console.log(`Routing engine: ${resolveEngine(roadGraphs)}`);
+} catch (error) {
+  console.error('Error loading road network:', error.message);
+}
+
+// No road extract ships with the repo, so asking for the local engine without one is a setup mistake
+// better caught now than as a 503 on every route
+if (!roadGraphs && (process.env.ROUTING_ENGINE || '').toLowerCase() === 'local') {
+  console.error('ROUTING_ENGINE=local needs data/roads.geojson. Run `npm run fetch-roads` once while online, or unset ROUTING_ENGINE to route with OSRM');
+  process.exit(1);
+}
+
+let closureStore = null;
+try {
+  closureStore = createClosureStore(path.join(dataPath, 'closures.json'));
+  if (roadGraphs) applyClosures(roadGraphs, closureStore);
+  console.log(`Loaded ${closureStore.size} road closures`);
+} catch (error) {
+  console.error('Error loading road closures:', error.message);
+}
+
+const geocoder = createGeocoder({ searchIndex, addressGeocoder, poiIndex, roadIndex, poisById });
+
 app.use('/data', express.static(dataPath, {
   setHeaders: (res, filePath) => {
     if (filePath.endsWith('.geojson')) {
@@ -189,59 +304,103 @@ app.get('/test-data', (req, res) => {
   }
 });
 
+const MAX_ROUTE_STOPS = 25;
+
+const parseLatLng = (value) => {
+  const coords = String(value).split(",").map(coord => parseFloat(coord.trim()));
+  if (coords.length !== 2 || isNaN(coords[0]) || isNaN(coords[1])) return null;
+  return coords;
+};
+
 app.get('/route', async (req, res) => {
   try {
-    const { start, end } = req.query;
+    const { start, end, via, optimize, profile, lang, alternatives } = req.query;
 
     if (!start || !end) {
       return res.status(400).json({ 
         error: "start and end parameters required",
-        example: "/route?start=33.6844,73.0479&end=33.7000,73.0500"
+        example: "/route?start=33.6844,73.0479&end=Centaurus Mall&via=poi:61146664;33.6950,73.0550"
       });
     }
 
-    const startCoords = start.split(",").map(coord => parseFloat(coord.trim()));
-    const endCoords = end.split(",").map(coord => parseFloat(coord.trim()));
+    const viaValues = (Array.isArray(via) ? via : via ? [via] : [])
+      .flatMap(v => v.split(";"))
+      .filter(v => v.trim());
+    const values = [start, ...viaValues, end];
 
-    if (startCoords.length !== 2 || endCoords.length !== 2 ||
-        isNaN(startCoords[0]) || isNaN(startCoords[1]) ||
-        isNaN(endCoords[0]) || isNaN(endCoords[1])) {
+    if (values.length > MAX_ROUTE_STOPS) {
       return res.status(400).json({ 
-        error: "Invalid coordinate format. Use: lat,lng (e.g., 33.6844,73.0479)"
+        error: `Too many stops (max ${MAX_ROUTE_STOPS} including start and end)`
       });
     }
 
-    const [startLat, startLng] = startCoords;
-    const [endLat, endLng] = endCoords;
+    // Each stop may be lat,lng, a POI id or a place name
+    const nameLang = parseLang(lang);
+    const stops = values.map((value) => geocoder.resolve(value, { lang: nameLang }));
 
-    const osrmUrl = `https://router.project-osrm.org/route/v1/driving/${startLng},${startLat};${endLng},${endLat}?overview=full&geometries=geojson`;
-
-    console.log('Fetching route from OSRM:', osrmUrl);
-    
-    const response = await axios.get(osrmUrl);
+    const result = await computeRoute(
+      roadGraphs,
+      stops.map((stop) => stop.coordinates),
+      {
+        optimize: optimize === 'true',
+        profile,
+        alternatives: alternatives === undefined ? 0 : Number(alternatives)
+      }
+    );
 
-    if (!response.data.routes || response.data.routes.length === 0) {
+    if (!result) {
       return res.status(404).json({ 
         error: "No route found between the specified points"
       });
     }
 
-    const route = response.data.routes[0];
-    const waypoints = response.data.waypoints || [];
+    const waypoints = result.waypoints;
 
     res.json({
       route: {
-        distance: route.distance, 
-        duration: route.duration, 
-        geometry: route.geometry
+        distance: result.distance, 
+        duration: result.duration, 
+        geometry: result.geometry,
+        legs: result.legs
       },
-      waypoints: waypoints.map((wp, index) => ({
-        name: index === 0 ? "Start Point" : index === waypoints.length - 1 ? "End Point" : `Waypoint ${index + 1}`,
-        location: wp.location,
-      }))
+      // Ranked by duration; overlap is the share of each alternative that retraces the main route
+      alternatives: result.alternatives.map((alt) => ({
+        distance: alt.distance,
+        duration: alt.duration,
+        geometry: alt.geometry,
+        legs: alt.legs,
+        overlap: alt.overlap
+      })),
+      waypoints: waypoints.map((waypoint, index) => {
+        const { location } = waypoint;
+        const stop = stops[result.order[index]];
+        const fallback = index === 0 ? "Start Point" : index === waypoints.length - 1 ? "End Point" : `Waypoint ${index}`;
+        return {
+          name: stop.name || geocoder.label(location, { lang: nameLang }) || fallback,
+          location,
+          // Where the stop was before it was moved onto the road network
+          input_location: stop.coordinates,
+          snap_distance: waypoint.distance,
+          road: waypoint.name,
+          input_index: result.order[index],
+          input: values[result.order[index]],
+          source: stop.source,
+          match: stop.match,
+        };
+      }),
+      engine: result.engine,
+      warning: engineWarning(roadGraphs) || undefined,
+      profile: result.profile
     });
   } catch (error) {
     console.error('Routing error:', error.message);
+
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ 
+        error: "Routing failed",
+        details: error.message
+      });
+    }
     
     if (error.response) {
       return res.status(error.response.status || 500).json({ 
@@ -257,51 +416,313 @@ app.get('/route', async (req, res) => {
   }
 });
 
+// GET with ;-separated lists in the query, or POST with JSON arrays for lists too long for a URL
+const handleMatrix = async (req, res) => {
+  try {
+    const params = { ...req.query, ...(req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {}) };
+    const { origins, destinations, profile, format } = params;
+
+    if (!origins) {
+      return res.status(400).json({
+        error: "origins parameter required",
+        example: "/matrix?origins=33.6844,73.0479;poi:1234&destinations=33.7000,73.0500;33.7100,73.0400&profile=driving"
+      });
+    }
+
+    const outputFormat = String((Array.isArray(format) ? format[0] : format) || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(outputFormat)) {
+      return res.status(400).json({ error: "format must be json or csv" });
+    }
+
+    const originList = parseLocations(origins, poisById, 'origins');
+    const destinationList = destinations ? parseLocations(destinations, poisById, 'destinations') : originList;
+    const matrix = await buildMatrix(roadGraphs, originList, destinationList, { profile });
+
+    if (outputFormat === 'csv') {
+      res.setHeader('Content-Disposition', 'attachment; filename="matrix.csv"');
+      return res.type('text/csv').send(matrixToCsv(matrix));
+    }
+    const warning = engineWarning(roadGraphs);
+    res.json(warning ? { ...matrix, warning } : matrix);
+  } catch (error) {
+    console.error('Matrix error:', error.message);
+
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: "Matrix failed", details: error.message });
+    }
+
+    if (error.response) {
+      return res.status(error.response.status || 500).json({
+        error: "Matrix failed",
+        details: error.response.data?.message || error.message
+      });
+    }
+
+    res.status(500).json({ error: "Matrix failed", details: error.message });
+  }
+};
+
+app.get('/matrix', handleMatrix);
+app.post('/matrix', handleMatrix);
+
+app.get('/isochrone', (req, res) => {
+  try {
+    const { lat, lng, profile } = req.query;
+
+    if (!lat || !lng) {
+      return res.status(400).json({ 
+        error: "lat and lng required",
+        example: "/isochrone?lat=33.6844&lng=73.0479&profile=walking&minutes=5,10,15"
+      });
+    }
+
+    const latNum = parseFloat(lat);
+    const lngNum = parseFloat(lng);
+
+    if (isNaN(latNum) || isNaN(lngNum)) {
+      return res.status(400).json({ error: "Invalid lat/lng format" });
+    }
+
+    const isochrones = computeIsochrones(roadGraphs, [lngNum, latNum], {
+      profile,
+      minutes: parseMinutes(req.query.minutes || '5,10,15'),
+    });
+
+    if (!isochrones) {
+      return res.status(404).json({ error: "No road network near the origin" });
+    }
+
+    res.json(isochrones);
+  } catch (error) {
+    console.error('Isochrone error:', error.message);
+
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: "Isochrone failed", details: error.message });
+    }
+
+    res.status(500).json({ error: "Isochrone failed", details: error.message });
+  }
+});
+
+app.get('/snap', async (req, res) => {
+  try {
+    const { lat, lng, profile } = req.query;
+
+    if (!lat || !lng) {
+      return res.status(400).json({
+        error: "lat and lng required",
+        example: "/snap?lat=33.6844&lng=73.0479&profile=driving"
+      });
+    }
+
+    const latNum = parseFloat(lat);
+    const lngNum = parseFloat(lng);
+
+    if (isNaN(latNum) || isNaN(lngNum)) {
+      return res.status(400).json({ error: "Invalid lat/lng format" });
+    }
+
+    const snap = await snapPoint(roadGraphs, [lngNum, latNum], { profile });
+    if (!snap) {
+      return res.status(404).json({ error: `No road within ${MAX_SNAP_M} m of the point` });
+    }
+
+    res.json({
+      input: [lngNum, latNum],
+      location: snap.location,
+      distance: snap.distance,
+      road: snap.name,
+      highway: snap.highway,
+      engine: snap.engine,
+      profile: snap.profile
+    });
+  } catch (error) {
+    console.error('Snap error:', error.message);
+
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: "Snap failed", details: error.message });
+    }
+
+    res.status(500).json({ error: "Snap failed", details: error.message });
+  }
+});
+
+// GPX arrives as XML text; GeoJSON goes through the JSON parser
+const gpxBody = express.text({ type: ['application/gpx+xml', 'application/xml', 'text/xml'], limit: '5mb' });
+
+app.post('/match', gpxBody, (req, res) => {
+  try {
+    const { profile, buffer } = req.query;
+    const trace = parseTrace(req.body);
+    res.json(matchTrace(roadGraphs, trace, { profile, buffer, poiIndex }));
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: "Map matching failed", details: error.message });
+    }
+    console.error('Map matching error:', error.message);
+    res.status(500).json({ error: "Map matching failed", details: error.message });
+  }
+});
+
+const sendClosureError = (res, error) => {
+  if (error instanceof RequestError) {
+    return res.status(error.status).json({ error: 'Closures failed', details: error.message });
+  }
+  console.error('Closures error:', error.message);
+  res.status(500).json({ error: 'Closures failed', details: error.message });
+};
+
+// Closures change routing for every user, so adding or removing one takes the CLOSURES_TOKEN secret
+// as a bearer token. Without a token set, edits are open outside production (as CORS is) and off in it
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+const requireClosureToken = (req, res, next) => {
+  const token = process.env.CLOSURES_TOKEN;
+  if (!token) {
+    if (process.env.NODE_ENV !== 'production') return next();
+    return res.status(403).json({ error: "Closure edits are disabled. Set CLOSURES_TOKEN to enable them" });
+  }
+
+  const given = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!crypto.timingSafeEqual(sha256(given), sha256(token))) {
+    return res.status(401).json({ error: "Closure edits need a valid token in the Authorization header" });
+  }
+  next();
+};
+
+// status=active|scheduled|expired narrows the list; every closure carries its status either way
+app.get('/closures', (req, res) => {
+  if (!closureStore) {
+    return res.status(503).json({ error: "Closures not available" });
+  }
+
+  const { status } = req.query;
+  if (status && !['active', 'scheduled', 'expired'].includes(status)) {
+    return res.status(400).json({ error: "status must be active, scheduled or expired" });
+  }
+
+  res.json(closureStore.list({ status }));
+});
+
+app.post('/closures', requireClosureToken, (req, res) => {
+  try {
+    if (!closureStore) {
+      return res.status(503).json({ error: "Closures not available" });
+    }
+
+    const feature = closureStore.add(req.body);
+    res.status(201).json({
+      ...feature,
+      properties: {
+        ...feature.properties,
+        closed_edges: roadGraphs ? closureImpact(roadGraphs, feature) : null
+      }
+    });
+  } catch (error) {
+    sendClosureError(res, error);
+  }
+});
+
+app.delete('/closures/:id', requireClosureToken, (req, res) => {
+  try {
+    if (!closureStore) {
+      return res.status(503).json({ error: "Closures not available" });
+    }
+
+    closureStore.remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendClosureError(res, error);
+  }
+});
+
 app.get('/api/geocoding/status', (req, res) => {
   res.json({
     status: 'ok',
     geocoding: 'enabled',
     poiDataLoaded: poiCollection !== null,
     poiCount: poiCollection ? poiCollection.features.length : 0,
-    healthBuffers: !!healthBuffers
+    serviceAreas: poiCollection !== null,
+    routingEngine: resolveEngine(roadGraphs),
+    roadGraphLoaded: roadGraphs !== null,
+    routingWarning: engineWarning(roadGraphs),
+    addressGeocoding: addressGeocoder !== null
   });
 });
 
 app.get('/search', (req, res) => {
   try {
-    const q = req.query.q;
+    const { q, bbox, near, limit, lang } = req.query;
     
     if (!q) {
       return res.status(400).json({ error: "Query parameter q is required" });
     }
 
-    if (!poiCollection) {
+    if (!searchIndex) {
       return res.status(503).json({ error: "POI data not loaded" });
     }
 
-    const searchQuery = q.toLowerCase().trim();
-    const results = poiCollection.features
-      .filter(f => {
-        const name = f.properties?.name || f.properties?.name_clean || '';
-        return name.toLowerCase().includes(searchQuery);
-      })
-      .slice(0, 20) 
-      .map(f => ({
-        name: f.properties?.name || f.properties?.name_clean || 'Unnamed',
-        category: f.properties?.category_group || f.properties?.amenity || 'N/A',
-        coordinates: f.geometry.coordinates, 
-      }));
+    const bounds = bbox ? parseBBox(bbox) : null;
+    if (bbox && !bounds) {
+      return res.status(400).json({ error: "Invalid bbox format. Use: minLng,minLat,maxLng,maxLat" });
+    }
+
+    const nearPoint = near ? parseLatLng(near) : null;
+    if (near && !nearPoint) {
+      return res.status(400).json({ error: "Invalid near format. Use: lat,lng" });
+    }
+
+    const limitNum = limit !== undefined ? parseInt(limit, 10) : 20;
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 50) {
+      return res.status(400).json({ error: "limit must be between 1 and 50" });
+    }
+
+    const results = geocoder.search(q, {
+      limit: limitNum,
+      bounds,
+      near: nearPoint ? [nearPoint[1], nearPoint[0]] : null,
+      lang: parseLang(lang),
+    });
 
     res.json({ results });
   } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: "Search failed", details: error.message });
+    }
     console.error('Search geocoding error:', error.message);
     res.status(500).json({ error: "Search failed", details: error.message });
   }
 });
 
+app.get('/geocode/address', (req, res) => {
+  try {
+    const { q } = req.query;
+
+    if (!q) {
+      return res.status(400).json({ 
+        error: "Query parameter q is required",
+        example: "/geocode/address?q=House 12, Street 65, F-7/2"
+      });
+    }
+
+    if (!addressGeocoder) {
+      return res.status(503).json({ error: "Sector data not loaded" });
+    }
+
+    const result = addressGeocoder.geocode(q);
+    if (!result) {
+      return res.status(404).json({ error: "No Islamabad sector found in address", components: parseAddress(q) });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Address geocoding error:', error.message);
+    res.status(500).json({ error: "Address geocoding failed", details: error.message });
+  }
+});
+
 app.get('/reverse', (req, res) => {
   try {
-    const { lat, lng } = req.query;
+    const { lat, lng, max_distance, lang } = req.query;
     
     if (!lat || !lng) {
       return res.status(400).json({ error: "lat and lng required" });
@@ -313,47 +734,312 @@ app.get('/reverse', (req, res) => {
 
     const latNum = parseFloat(lat);
     const lngNum = parseFloat(lng);
+    const maxKm = max_distance !== undefined ? parseFloat(max_distance) : DEFAULT_REVERSE_MAX_KM;
 
     if (isNaN(latNum) || isNaN(lngNum)) {
       return res.status(400).json({ error: "Invalid lat/lng format" });
     }
+    if (isNaN(maxKm) || maxKm <= 0 || maxKm > MAX_REVERSE_MAX_KM) {
+      return res.status(400).json({ error: `max_distance must be between 0 and ${MAX_REVERSE_MAX_KM} km` });
+    }
+
+    res.json(geocoder.reverse([lngNum, latNum], { maxKm, lang: parseLang(lang) }));
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: "Reverse geocoding failed", details: error.message });
+    }
+    console.error('Reverse geocoding error:', error.message);
+    res.status(500).json({ error: "Reverse geocoding failed", details: error.message });
+  }
+});
 
-    const queryPoint = turf.point([lngNum, latNum]);
+const batchJobs = createJobStore();
+const csvBody = express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '5mb' });
+const BATCH_COLUMNS = { search: SEARCH_COLUMNS, reverse: REVERSE_COLUMNS };
+
+const sendBatchResults = (res, type, results, format) => {
+  if (format === 'csv') {
+    res.setHeader('Content-Disposition', `attachment; filename="${type}-results.csv"`);
+    return res.type('text/csv').send(toCsv(results, BATCH_COLUMNS[type]));
+  }
+  if (format === 'geojson') {
+    res.setHeader('Content-Disposition', `attachment; filename="${type}-results.geojson"`);
+    return res.type('application/geo+json').send(JSON.stringify(toGeoJSON(results)));
+  }
+  res.json({ status: 'done', total: results.length, summary: summarize(results), results });
+};
 
-    let nearest = null;
-    let minDist = Infinity;
+// Small batches are answered directly; larger ones return 202 with a job to poll
+const runBatch = (req, res, type, rows, processRow) => {
+  const format = (req.query.format || 'json').toLowerCase();
+  if (!['json', 'csv', 'geojson'].includes(format)) {
+    return res.status(400).json({ error: "format must be json, csv or geojson" });
+  }
 
-    poiCollection.features.forEach(f => {
-      const d = turf.distance(queryPoint, f, { units: 'kilometers' });
-      if (d < minDist) {
-        minDist = d;
-        nearest = f;
-      }
-    });
+  if (rows.length <= SYNC_MAX_ROWS && req.query.async !== 'true') {
+    return sendBatchResults(res, type, rows.map((row) => safely(processRow, row)), format);
+  }
+
+  const job = batchJobs.create(type, rows, processRow);
+  res.status(202).location(`/batch/jobs/${job.id}`).json({
+    ...describeJob(job),
+    status_url: `/batch/jobs/${job.id}`,
+    results_url: `/batch/jobs/${job.id}/results`,
+  });
+};
+
+app.post('/batch/search', csvBody, (req, res) => {
+  try {
+    if (!searchIndex) {
+      return res.status(503).json({ error: "POI data not loaded" });
+    }
 
-    if (!nearest) {
-      return res.status(404).json({ error: "No POI found" });
+    const { bbox, lang } = req.query;
+    const bounds = bbox ? parseBBox(bbox) : null;
+    if (bbox && !bounds) {
+      return res.status(400).json({ error: "Invalid bbox format. Use: minLng,minLat,maxLng,maxLat" });
     }
 
-    res.json({
-      name: nearest.properties?.name || nearest.properties?.name_clean || 'Unnamed',
-      category: nearest.properties?.category_group || nearest.properties?.amenity || 'N/A',
-      coordinates: nearest.geometry.coordinates, 
-      distance_km: parseFloat(minDist.toFixed(2)),
+    const rows = parseSearchRows(req.body);
+    const options = { bounds, lang: parseLang(lang) };
+    runBatch(req, res, 'search', rows, (row) => searchRow(geocoder, row, options));
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: "Batch search failed", details: error.message });
+    }
+    console.error('Batch search error:', error.message);
+    res.status(500).json({ error: "Batch search failed", details: error.message });
+  }
+});
+
+app.post('/batch/reverse', csvBody, (req, res) => {
+  try {
+    if (!poiIndex) {
+      return res.status(503).json({ error: "POI data not loaded" });
+    }
+
+    const { max_distance, lang } = req.query;
+    const maxKm = max_distance !== undefined ? parseFloat(max_distance) : DEFAULT_REVERSE_MAX_KM;
+    if (isNaN(maxKm) || maxKm <= 0 || maxKm > MAX_REVERSE_MAX_KM) {
+      return res.status(400).json({ error: `max_distance must be between 0 and ${MAX_REVERSE_MAX_KM} km` });
+    }
+
+    const rows = parseReverseRows(req.body);
+    const options = { maxKm, lang: parseLang(lang) };
+    runBatch(req, res, 'reverse', rows, (row) => reverseRow(geocoder, row, options));
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: "Batch reverse geocoding failed", details: error.message });
+    }
+    console.error('Batch reverse geocoding error:', error.message);
+    res.status(500).json({ error: "Batch reverse geocoding failed", details: error.message });
+  }
+});
+
+app.get('/batch/jobs/:id', (req, res) => {
+  const job = batchJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found or expired" });
+  }
+  res.json(describeJob(job));
+});
+
+app.get('/batch/jobs/:id/results', (req, res) => {
+  const job = batchJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found or expired" });
+  }
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: `Job is ${job.status}`, ...describeJob(job) });
+  }
+
+  const format = (req.query.format || 'json').toLowerCase();
+  if (!['json', 'csv', 'geojson'].includes(format)) {
+    return res.status(400).json({ error: "format must be json, csv or geojson" });
+  }
+  sendBatchResults(res, job.type, job.results, format);
+});
+
+const MAX_NEARBY_K = 50;
+const MAX_NEARBY_RADIUS_KM = 10;
+
+app.get('/pois', (req, res) => {
+  try {
+    if (!poiIndex) {
+      return res.status(503).json({ error: "POI data not loaded" });
+    }
+
+    res.json(queryPois(poiIndex, req.query));
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: "POI query failed", details: error.message });
+    }
+    console.error('POI query error:', error.message);
+    res.status(500).json({ error: "POI query failed", details: error.message });
+  }
+});
+
+app.get('/pois/clusters', (req, res) => {
+  try {
+    if (!poiIndex) {
+      return res.status(503).json({ error: "POI data not loaded" });
+    }
+
+    res.json(clusterPois(poiIndex, req.query));
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: "POI clustering failed", details: error.message });
+    }
+    console.error('POI clustering error:', error.message);
+    res.status(500).json({ error: "POI clustering failed", details: error.message });
+  }
+});
+
+app.get('/tiles/:z/:x/:y.pbf', (req, res) => {
+  try {
+    if (!tileSource) {
+      return res.status(503).json({ error: "Tile data not loaded" });
+    }
+
+    const [z, x, y] = [req.params.z, req.params.x, req.params.y].map((v) => Number(v));
+    if (![z, x, y].every(Number.isInteger) || z < 0 || z > 22 || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+      return res.status(400).json({ error: "Invalid tile coordinates" });
+    }
+
+    const tile = tileSource.getTile(z, x, y);
+    if (!tile) {
+      return res.status(204).end();
+    }
+
+    res.setHeader('Content-Type', 'application/x-protobuf');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.send(tile);
+  } catch (error) {
+    console.error('Tile error:', error.message);
+    res.status(500).json({ error: "Tile generation failed", details: error.message });
+  }
+});
+
+app.get('/nearby', (req, res) => {
+  try {
+    const { lat, lng, k, radius } = req.query;
+
+    if (!lat || !lng) {
+      return res.status(400).json({ 
+        error: "lat and lng required",
+        example: "/nearby?lat=33.6844&lng=73.0479&k=5&amenity=pharmacy"
+      });
+    }
+
+    if (!poiIndex) {
+      return res.status(503).json({ error: "POI data not loaded" });
+    }
+
+    const latNum = parseFloat(lat);
+    const lngNum = parseFloat(lng);
+    const kNum = k !== undefined ? parseInt(k, 10) : (radius !== undefined ? MAX_NEARBY_K : 5);
+    const radiusKm = radius !== undefined ? parseFloat(radius) : null;
+
+    if (isNaN(latNum) || isNaN(lngNum)) {
+      return res.status(400).json({ error: "Invalid lat/lng format" });
+    }
+    if (isNaN(kNum) || kNum < 1 || kNum > MAX_NEARBY_K) {
+      return res.status(400).json({ error: `k must be between 1 and ${MAX_NEARBY_K}` });
+    }
+    if (radiusKm !== null && (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_NEARBY_RADIUS_KM)) {
+      return res.status(400).json({ error: `radius must be between 0 and ${MAX_NEARBY_RADIUS_KM} km` });
+    }
+
+    const filters = poiFilters(req.query);
+    const origin = [lngNum, latNum];
+    const filter = (f) => matchesPoi(f, filters);
+    const matches = poiIndex.nearest(origin, {
+      k: kNum,
+      maxDistance: radiusKm !== null ? radiusKm * 1000 : Infinity,
+      filter,
+    });
+    // A radius can hold more POIs than k; say how many so a cut-off list isn't taken for all of them
+    const total = radiusKm !== null ? poiIndex.within(origin, radiusKm * 1000, { filter }).length : null;
+
+    const results = matches.map(({ item: f, distance }) => {
+      const bearing = (turf.bearing(origin, f.geometry.coordinates) + 360) % 360;
+      return {
+        id: f.properties?.id ?? null,
+        name: f.properties?.name || f.properties?.name_clean || 'Unnamed',
+        category: f.properties?.category || 'Unknown',
+        amenity: f.properties?.amenity || 'N/A',
+        coordinates: f.geometry.coordinates,
+        distance_km: parseFloat((distance / 1000).toFixed(3)),
+        bearing: Math.round(bearing),
+        direction: compassDirection(bearing),
+      };
     });
+
+    res.json(total !== null ? { results, total, truncated: total > results.length } : { results });
   } catch (error) {
-    console.error('Reverse geocoding error:', error.message);
-    res.status(500).json({ error: "Reverse geocoding failed", details: error.message });
+    console.error('Nearby error:', error.message);
+    res.status(500).json({ error: "Nearby search failed", details: error.message });
   }
 });
 
+const sendServiceAreaError = (res, error) => {
+  if (error instanceof RequestError) {
+    return res.status(error.status).json({ error: 'Service areas failed', details: error.message });
+  }
+  res.status(500).json({ error: 'Service areas failed', details: error.message });
+};
+
+app.get('/service-areas', (req, res) => {
+  try {
+    if (!poiCollection) {
+      return res.status(503).json({ error: "POI data not loaded" });
+    }
+
+    res.json(computeServiceAreas(poiCollection, roadGraphs, req.query));
+  } catch (error) {
+    console.error('Service areas error:', error.message);
+    sendServiceAreaError(res, error);
+  }
+});
+
+app.get('/service-areas/categories', (req, res) => {
+  if (!poiCollection) {
+    return res.status(503).json({ error: "POI data not loaded" });
+  }
+
+  res.json({ categories: listCategories(poiCollection) });
+});
+
+app.get('/coverage-gaps', (req, res) => {
+  try {
+    if (!poiCollection || !boundary) {
+      return res.status(503).json({ error: "POI or boundary data not loaded" });
+    }
+
+    res.json(computeCoverageGaps(boundary, poiCollection, req.query));
+  } catch (error) {
+    console.error('Coverage gaps error:', error.message);
+
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: 'Coverage analysis failed', details: error.message });
+    }
+    res.status(500).json({ error: 'Coverage analysis failed', details: error.message });
+  }
+});
+
+// Kept for older clients; same as /service-areas?category=health&radius=0.5
 app.get('/health-buffers', (req, res) => {
   try {
-    if (healthBuffers) {
-      res.json(healthBuffers);
-    } else {
-      res.status(503).json({ error: 'Health buffers not available' });
+    if (!poiCollection) {
+      return res.status(503).json({ error: 'Health buffers not available' });
+    }
+
+    const healthBuffers = computeServiceAreas(poiCollection, roadGraphs, { category: 'health', radius: 0.5 });
+    if (!healthBuffers.features.length) {
+      return res.status(503).json({ error: 'Health buffers not available' });
     }
+
+    res.json(healthBuffers);
   } catch (error) {
     console.error('Health buffers error:', error.message);
     res.status(500).json({ error: 'Health buffers failed', details: error.message });
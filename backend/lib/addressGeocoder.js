@@ -0,0 +1,143 @@
+const turf = require('@turf/turf');
+const { SpatialIndex } = require('./spatialIndex');
+
+const SECTOR_PATTERN = /\b([a-i])(?:\s*[-–]\s*)?(\d{1,2})(?:\s*\/\s*([1-4]))?(?![\d/])/i;
+const STREET_PATTERN = /\b(?:street|st\.?|gali)\s*(?:no\.?|number|#)?\s*(\d{1,3})\b/i;
+const HOUSE_PATTERN = /\b(?:house|h\.?\s*no\.?|plot)\s*(?:no\.?|number|#)?\s*(\d{1,4}[a-z]?)\b/i;
+// A bare named road: "Kohistan Road", "7th Avenue", "Service Road West"
+const ROAD_PATTERN = /\b([a-z0-9][a-z0-9 -]*?\s(?:road|avenue|highway|boulevard|chowk))\b/i;
+
+const lower = (value) => (value || '').toString().trim().toLowerCase();
+
+// "House 12, Street 65, F-7/2" -> { house: "12", street: "65", sector: "F-7", subsector: 2 }.
+// `place` is whatever text is left over, e.g. "Masjid" in "Masjid F-7/1"
+function parseAddress(text) {
+  const input = String(text || '');
+  const sector = input.match(SECTOR_PATTERN);
+  const street = input.match(STREET_PATTERN);
+  const house = input.match(HOUSE_PATTERN);
+
+  // The sector is stripped first so "F-7 Markaz Road" doesn't read "7 Markaz Road" as a road name
+  const rest = sector ? input.replace(sector[0], ' ') : input;
+  const road = !street ? rest.match(ROAD_PATTERN) : null;
+  const place = [street, house, road]
+    .reduce((remaining, match) => (match ? remaining.replace(match[0], ' ') : remaining), rest)
+    .replace(/\bislamabad\b/gi, ' ')
+    .replace(/[\s,;]+/g, ' ')
+    .trim();
+
+  return {
+    house: house ? house[1].toUpperCase() : null,
+    street: street ? street[1] : null,
+    road: road ? road[1].trim().replace(/\s+/g, ' ') : null,
+    sector: sector ? `${sector[1].toUpperCase()}-${parseInt(sector[2], 10)}` : null,
+    subsector: sector && sector[3] ? parseInt(sector[3], 10) : null,
+    place: place || null,
+  };
+}
+
+const streetNumber = (value) => {
+  const match = String(value || '').match(STREET_PATTERN);
+  return match ? match[1] : null;
+};
+
+const streetTags = (f) => {
+  const tags = f.properties?.tags || {};
+  return [tags['addr:street'], tags['addr:street:en'], tags['addr2:street']].filter(Boolean);
+};
+
+const houseNumber = (f) => lower(f.properties?.tags?.['addr:housenumber']).replace(/^#\s*/, '');
+
+function formatAddress({ house, street, road, sector, subsector }) {
+  return [
+    house && `House ${house}`,
+    street && `Street ${street}`,
+    road,
+    sector && (subsector ? `${sector}/${subsector}` : sector),
+    'Islamabad',
+  ].filter(Boolean).join(', ');
+}
+
+// Resolves sector/sub-sector/street/house addresses against the bundled sector polygons and the POIs'
+// addr:* tags. Returns null when the text doesn't name a known sector
+function createAddressGeocoder(sectorCollection, poiCollection) {
+  const sectors = new Map(sectorCollection.features.map((f) => [f.properties.name, f]));
+  const areaIndex = new SpatialIndex({ toBBox: (f) => turf.bbox(f) }).load(sectorCollection.features);
+  const pois = (poiCollection?.features || []).filter((f) => f.geometry?.type === 'Point' && streetTags(f).length);
+
+  const geocode = (text) => {
+    const components = parseAddress(text);
+    if (!components.sector) return null;
+
+    const sectorName = components.subsector ? `${components.sector}/${components.subsector}` : components.sector;
+    const area = sectors.get(sectorName) || sectors.get(components.sector);
+    if (!area) return null;
+
+    // Match streets over the whole sector: sub-sector polygons are approximate and POIs near their edges are common
+    const sectorArea = sectors.get(components.sector);
+    const onStreet = (components.street || components.road)
+      ? pois.filter((f) => {
+        const matches = streetTags(f).some((value) => (components.street
+          ? streetNumber(value) === components.street
+          : lower(value) === lower(components.road)));
+        return matches && turf.booleanPointInPolygon(f, sectorArea);
+      })
+      : [];
+    const atHouse = components.house
+      ? onStreet.filter((f) => houseNumber(f) === lower(components.house))
+      : [];
+
+    const base = {
+      components,
+      sector: area.properties.name,
+      formatted: formatAddress(components),
+      approximate: area.properties.source === 'approx',
+    };
+
+    if (atHouse.length) {
+      return {
+        ...base,
+        match_level: 'house',
+        confidence: 'high',
+        coordinates: atHouse[0].geometry.coordinates,
+        matched_poi: atHouse[0].properties?.name || null,
+      };
+    }
+    if (onStreet.length) {
+      return {
+        ...base,
+        match_level: 'street',
+        confidence: 'medium',
+        coordinates: turf.centroid(turf.featureCollection(onStreet)).geometry.coordinates,
+        matched_poi_count: onStreet.length,
+      };
+    }
+    return {
+      ...base,
+      match_level: area.properties.level,
+      // Only the area was found; how close the centre is depends on how much of the address went unmatched
+      confidence: area.properties.level === 'subsector' && !components.street && !components.road ? 'medium' : 'low',
+      coordinates: turf.centroid(area).geometry.coordinates,
+      geometry: area.geometry,
+    };
+  };
+
+  // The sector and sub-sector polygons containing a point, either may be null
+  const locate = (coord) => {
+    const containing = areaIndex
+      .search([coord[0], coord[1], coord[0], coord[1]])
+      .filter((f) => turf.booleanPointInPolygon(coord, f));
+    return {
+      sector: containing.find((f) => f.properties.level === 'sector') || null,
+      subsector: containing.find((f) => f.properties.level === 'subsector') || null,
+    };
+  };
+
+  return { geocode, locate, size: sectors.size };
+}
+
+module.exports = {
+  createAddressGeocoder,
+  formatAddress,
+  parseAddress,
+};
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const { RequestError } = require('./errors');
+
+const MAX_BATCH_ROWS = 5000;
+// Up to this many rows are answered in the response; larger batches become a job to poll
+const SYNC_MAX_ROWS = 100;
+const CHUNK_SIZE = 50;
+// Below this the best hit usually shares only part of the query (one word of two, a loose skeleton match)
+const MIN_MATCH_SCORE = 0.75;
+const MAX_JOBS = 50;
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const SEARCH_COLUMNS = ['row', 'id', 'query', 'status', 'name', 'category', 'lat', 'lng', 'score', 'match_type', 'confidence', 'error'];
+const REVERSE_COLUMNS = ['row', 'id', 'lat', 'lng', 'status', 'address', 'sector', 'road', 'poi_name', 'poi_category', 'poi_distance_km', 'error'];
+
+const lower = (value) => (value || '').toString().trim().toLowerCase();
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes. Returns objects keyed by
+// the lower-cased header row
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const rows = records.filter((r) => r.some((value) => value.trim()));
+  if (!rows.length) return [];
+  const header = rows[0].map(lower);
+  return rows.slice(1).map((r) => Object.fromEntries(header.map((key, i) => [key, (r[i] ?? '').trim()])));
+}
+
+// Spreadsheets run a cell starting with one of these as a formula, so such text gets a leading '.
+// Numbers are written as they are, a negative longitude is not a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(rows, columns) {
+  return [columns.join(','), ...rows.map((row) => columns.map((key) => csvField(row[key])).join(','))].join('\r\n') + '\r\n';
+}
+
+// Rows with coordinates as points, with every other column as properties
+function toGeoJSON(rows) {
+  return {
+    type: 'FeatureCollection',
+    features: rows
+      .filter((row) => row.lat !== null && row.lat !== undefined && row.lng !== null && row.lng !== undefined)
+      .map(({ lat, lng, ...properties }) => ({
+        type: 'Feature',
+        properties,
+        geometry: { type: 'Point', coordinates: [lng, lat] },
+      })),
+  };
+}
+
+// A JSON array, { <key>: [...] } or CSV text, as an array of plain rows
+function readRows(body, key) {
+  let rows;
+  if (typeof body === 'string') rows = parseCsv(body);
+  else if (Array.isArray(body)) rows = body;
+  else if (body && Array.isArray(body[key])) rows = body[key];
+  else throw new RequestError(`Send a JSON array, { "${key}": [...] } or a CSV file`, 400);
+
+  if (!rows.length) throw new RequestError('The batch is empty', 400);
+  if (rows.length > MAX_BATCH_ROWS) throw new RequestError(`A batch can hold at most ${MAX_BATCH_ROWS} rows`, 400);
+  return rows;
+}
+
+const rowId = (row) => {
+  const id = row.id ?? row.ID;
+  return id === undefined || id === '' ? null : id;
+};
+
+// Strings or { id, q }; CSV columns may be q, query, name or address
+function parseSearchRows(body) {
+  return readRows(body, 'queries').map((row, i) => {
+    if (typeof row === 'string') return { row: i + 1, id: null, query: row.trim() };
+    const query = row?.q ?? row?.query ?? row?.name ?? row?.address ?? '';
+    return { row: i + 1, id: rowId(row || {}), query: String(query).trim() };
+  });
+}
+
+// { id, lat, lng }, [lat, lng] or CSV lat,lng (lon/longitude/latitude accepted too)
+function parseReverseRows(body) {
+  return readRows(body, 'points').map((row, i) => {
+    const values = Array.isArray(row)
+      ? { lat: row[0], lng: row[1] }
+      : { ...row, lat: row?.lat ?? row?.latitude, lng: row?.lng ?? row?.lon ?? row?.longitude };
+    return {
+      row: i + 1,
+      id: Array.isArray(row) ? null : rowId(row || {}),
+      lat: parseFloat(values.lat),
+      lng: parseFloat(values.lng),
+    };
+  });
+}
+
+function searchRow(geocoder, { row, id, query }, options) {
+  if (!query) return { row, id, query, status: 'error', error: 'Empty query' };
+
+  const [best] = geocoder.search(query, { ...options, limit: 1 });
+  if (!best) return { row, id, query, status: 'no_match' };
+  return {
+    row,
+    id,
+    query,
+    status: best.type === 'address' || best.score >= MIN_MATCH_SCORE ? 'matched' : 'uncertain',
+    name: best.name,
+    category: best.category,
+    lat: best.coordinates[1],
+    lng: best.coordinates[0],
+    score: best.score ?? null,
+    match_type: best.type === 'address' ? `address:${best.match_level}` : 'poi',
+    confidence: best.confidence || null,
+  };
+}
+
+function reverseRow(geocoder, { row, id, lat, lng }, options) {
+  if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { row, id, lat: isNaN(lat) ? null : lat, lng: isNaN(lng) ? null : lng, status: 'error', error: 'Invalid lat/lng' };
+  }
+
+  const result = geocoder.reverse([lng, lat], options);
+  if (result.status === 'no_match') return { row, id, lat, lng, status: 'no_match' };
+  return {
+    row,
+    id,
+    lat,
+    lng,
+    status: 'matched',
+    address: result.address,
+    sector: result.components.subsector || result.components.sector,
+    road: result.road?.name || null,
+    poi_name: result.poi?.name || null,
+    poi_category: result.poi?.category || null,
+    poi_distance_km: result.poi?.distance_km ?? null,
+  };
+}
+
+// One bad row shouldn't fail the batch
+const safely = (processRow, input) => {
+  try {
+    return processRow(input);
+  } catch (error) {
+    return { row: input.row, id: input.id, status: 'error', error: error.message };
+  }
+};
+
+const summarize = (results) => results.reduce((counts, { status }) => {
+  counts[status] = (counts[status] || 0) + 1;
+  return counts;
+}, {});
+
+// In-memory jobs for batches too big to answer in one response. Rows are processed in chunks
+// between event-loop turns so the server keeps answering other requests; finished jobs expire
+// after an hour, and at most MAX_JOBS jobs run at once
+function createJobStore() {
+  const jobs = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    jobs.forEach((job, id) => {
+      if (job.finished_at && now - job.finished_at > JOB_TTL_MS) jobs.delete(id);
+    });
+    // Oldest first, Map keeps insertion order
+    for (const [id, job] of jobs) {
+      if (jobs.size <= MAX_JOBS) break;
+      if (job.status === 'done' || job.status === 'failed') jobs.delete(id);
+    }
+  };
+
+  const create = (type, rows, processRow) => {
+    prune();
+    // Unfinished jobs are never evicted, so past the cap new ones are refused instead
+    const pending = [...jobs.values()].filter((job) => !job.finished_at).length;
+    if (pending >= MAX_JOBS) {
+      throw new RequestError(`${pending} batch jobs are still running. Try again when some have finished`, 429);
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      total: rows.length,
+      processed: 0,
+      results: [],
+      created_at: Date.now(),
+      finished_at: null,
+      error: null,
+    };
+    jobs.set(job.id, job);
+
+    const step = () => {
+      try {
+        job.status = 'running';
+        const end = Math.min(job.processed + CHUNK_SIZE, rows.length);
+        for (let i = job.processed; i < end; i++) job.results.push(safely(processRow, rows[i]));
+        job.processed = end;
+        if (end < rows.length) {
+          setImmediate(step);
+          return;
+        }
+        job.status = 'done';
+      } catch (error) {
+        job.status = 'failed';
+        job.error = error.message;
+      }
+      job.finished_at = Date.now();
+    };
+    setImmediate(step);
+    return job;
+  };
+
+  return { create, get: (id) => jobs.get(id) || null };
+}
+
+const describeJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  total: job.total,
+  processed: job.processed,
+  progress: job.total ? parseFloat((job.processed / job.total).toFixed(3)) : 1,
+  summary: summarize(job.results),
+  created_at: new Date(job.created_at).toISOString(),
+  finished_at: job.finished_at ? new Date(job.finished_at).toISOString() : null,
+  ...(job.error ? { error: job.error } : {}),
+});
+
+module.exports = {
+  MAX_BATCH_ROWS,
+  REVERSE_COLUMNS,
+  SEARCH_COLUMNS,
+  SYNC_MAX_ROWS,
+  createJobStore,
+  describeJob,
+  parseCsv,
+  parseReverseRows,
+  parseSearchRows,
+  reverseRow,
+  safely,
+  searchRow,
+  summarize,
+  toCsv,
+  toGeoJSON,
+};
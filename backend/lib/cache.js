@@ -0,0 +1,29 @@
+// Small LRU keyed by the JSON of normalized request parameters
+function createCache(maxSize = 50) {
+  const entries = new Map();
+
+  return {
+    get(params) {
+      const key = JSON.stringify(params);
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(params, value) {
+      const key = JSON.stringify(params);
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxSize) entries.delete(entries.keys().next().value);
+      return value;
+    },
+
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,90 @@
+const { hasArabicScript, nameVariants } = require('./names');
+
+const lower = (value) => (value || '').toString().trim().toLowerCase();
+
+// Accents dropped so "Café" matches "cafe"; Urdu letters are left alone
+const fold = (text) => lower(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Latin keywords match whole words ("park" not in "parking"); Urdu script has no reliable word
+// boundaries once joined letters are involved, so those match anywhere in the name
+const keywordMatcher = (keyword) => {
+  const folded = fold(keyword);
+  if (hasArabicScript(folded)) return (name) => name.includes(folded);
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(folded)}($|[^\\p{L}\\p{N}])`, 'u');
+  return (name) => pattern.test(name);
+};
+
+// OSM allows several values in one tag ("clinic;hospital")
+const tagValues = (value) => String(value).split(';').map(lower).filter(Boolean);
+
+function compileRule(rule, index) {
+  const id = rule.id || `rule-${index + 1}`;
+  if (!rule.category) throw new Error(`Rule ${id} has no category`);
+  if (!rule.tags && !rule.keywords) throw new Error(`Rule ${id} needs tags or keywords`);
+
+  const tags = Object.entries(rule.tags || {}).map(([key, values]) => ({
+    key,
+    any: values === '*',
+    values: values === '*' ? null : new Set([].concat(values).map(lower)),
+  }));
+  const keywords = Object.entries(rule.keywords || {}).flatMap(([lang, words]) =>
+    [].concat(words).map((word) => ({ lang, word, test: keywordMatcher(word) })));
+
+  return { id, category: rule.category, priority: rule.priority ?? 0, index, tags, keywords };
+}
+
+// The "categories" block of rules/enrichment.json, checked and turned into matchers
+function compileCategoryRules(config) {
+  if (!config || !Array.isArray(config.rules)) throw new Error('Category rules need a "rules" array');
+  return {
+    rules: config.rules.map(compileRule),
+    groups: config.fallback?.category_group || {},
+    fallback: config.fallback?.default || 'Unknown',
+  };
+}
+
+// What a rule matched on for this POI, or null. Tags are read from the OSM tags and from the
+// top-level amenity property the fetch script copies out of them
+function matchRule(rule, tags, names) {
+  for (const { key, any, values } of rule.tags) {
+    const value = tags[key];
+    if (value === undefined || value === null || value === '') continue;
+    const match = any ? tagValues(value)[0] : tagValues(value).find((v) => values.has(v));
+    if (match) return `${key}=${match}`;
+  }
+  for (const { lang, word, test } of rule.keywords) {
+    if (names.some(test)) return `${lang}:${word}`;
+  }
+  return null;
+}
+
+// Highest-priority matching rule wins, file order breaks ties. With no match, the OSM-derived
+// category_group is mapped if the rules know it
+function categorize(feature, compiled) {
+  const props = feature.properties || {};
+  const tags = { ...(props.tags || {}) };
+  if (props.amenity && !tags.amenity) tags.amenity = props.amenity;
+  const names = nameVariants(feature).map((v) => fold(v.value));
+
+  let best = null;
+  compiled.rules.forEach((rule) => {
+    if (best && rule.priority <= best.rule.priority) return;
+    const reason = matchRule(rule, tags, names);
+    if (reason) best = { rule, reason };
+  });
+
+  if (best) return { category: best.rule.category, rule: best.rule.id, reason: best.reason };
+
+  const group = lower(props.category_group);
+  if (compiled.groups[group]) {
+    return { category: compiled.groups[group], rule: 'fallback:category_group', reason: `category_group=${group}` };
+  }
+  return { category: compiled.fallback, rule: 'fallback:default', reason: null };
+}
+
+module.exports = {
+  categorize,
+  compileCategoryRules,
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const turf = require('@turf/turf');
+const { PROFILES } = require('./profiles');
+const { RequestError } = require('./errors');
+const { edgeIndex } = require('./roadGraph');
+const { projectOnSegment } = require('./spatialIndex');
+
+// A road segment is closed by a drawn line when both its ends and its middle are this close to it
+const LINE_TOLERANCE_M = 20;
+const MAX_NAME_LENGTH = 120;
+
+const AREA_TYPES = ['Polygon', 'MultiPolygon'];
+
+const isPosition = (p) => Array.isArray(p) && p.length >= 2 && Number.isFinite(p[0]) && Number.isFinite(p[1])
+  && Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+const isPath = (coords, min) => Array.isArray(coords) && coords.length >= min && coords.every(isPosition);
+const isRing = (coords) => isPath(coords, 4)
+  && coords[0][0] === coords[coords.length - 1][0] && coords[0][1] === coords[coords.length - 1][1];
+const isListOf = (value, test) => Array.isArray(value) && value.length > 0 && value.every(test);
+
+const GEOMETRY_CHECKS = {
+  Polygon: (c) => isListOf(c, isRing),
+  MultiPolygon: (c) => isListOf(c, (polygon) => isListOf(polygon, isRing)),
+  LineString: (c) => isPath(c, 2),
+  MultiLineString: (c) => isListOf(c, (line) => isPath(line, 2)),
+};
+
+// Shapes that would close nothing, or anything, are refused: rings must be closed with at least 4
+// positions, lines need 2, and every position is a [lng, lat] in range
+function checkGeometry(geometry) {
+  if (!geometry || !GEOMETRY_CHECKS[geometry.type]) {
+    throw new RequestError('geometry must be a Polygon, MultiPolygon, LineString or MultiLineString', 400);
+  }
+  if (AREA_TYPES.includes(geometry.type)) {
+    if (!GEOMETRY_CHECKS[geometry.type](geometry.coordinates)) {
+      throw new RequestError('Polygon rings must be closed and have at least 4 [lng, lat] positions in range', 400);
+    }
+    if (!(turf.area(geometry) > 0)) throw new RequestError('Polygon has no area', 400);
+    return;
+  }
+  if (!GEOMETRY_CHECKS[geometry.type](geometry.coordinates)) {
+    throw new RequestError('Lines must have at least 2 [lng, lat] positions in range', 400);
+  }
+  if (!(turf.length(geometry) > 0)) throw new RequestError('Line has no length', 400);
+}
+
+const parseTime = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const time = new Date(value);
+  if (isNaN(time.getTime())) throw new RequestError(`${field} must be an ISO date and time`, 400);
+  return time.toISOString();
+};
+
+// Accepts a GeoJSON Feature or a plain object with a geometry next to the other fields
+function parseClosure(input) {
+  if (!input || typeof input !== 'object') throw new RequestError('Closure must be a JSON object', 400);
+  const fields = input.type === 'Feature' ? { ...input.properties, geometry: input.geometry } : input;
+  const { geometry } = fields;
+  checkGeometry(geometry);
+
+  const name = String(fields.name || '').trim();
+  if (!name) throw new RequestError('name is required', 400);
+  if (name.length > MAX_NAME_LENGTH) throw new RequestError(`name must be at most ${MAX_NAME_LENGTH} characters`, 400);
+
+  const profiles = fields.profiles ? [].concat(fields.profiles).map((p) => String(p).toLowerCase()) : Object.keys(PROFILES);
+  const unknown = profiles.filter((p) => !PROFILES[p]);
+  if (unknown.length || !profiles.length) {
+    throw new RequestError(`profiles must be a list of: ${Object.keys(PROFILES).join(', ')}`, 400);
+  }
+
+  const startsAt = parseTime(fields.starts_at, 'starts_at');
+  const endsAt = parseTime(fields.ends_at, 'ends_at');
+  if (startsAt && endsAt && endsAt <= startsAt) throw new RequestError('ends_at must be after starts_at', 400);
+
+  return {
+    name,
+    reason: fields.reason ? String(fields.reason).trim() : null,
+    profiles: [...new Set(profiles)],
+    starts_at: startsAt,
+    ends_at: endsAt,
+    geometry,
+  };
+}
+
+// ISO strings compare in time order, so the window check needs no parsing
+const statusAt = (closure, at) => {
+  if (closure.starts_at && at < closure.starts_at) return 'scheduled';
+  if (closure.ends_at && at >= closure.ends_at) return 'expired';
+  return 'active';
+};
+
+const toFeature = (closure, at) => {
+  const { geometry, ...properties } = closure;
+  return { type: 'Feature', geometry, properties: { ...properties, status: statusAt(closure, at) } };
+};
+
+// Closures kept in a JSON file so they survive restarts. Written in full on every change;
+// there are only ever a handful
+function createClosureStore(filePath) {
+  let closures = [];
+  if (fs.existsSync(filePath)) {
+    closures = JSON.parse(fs.readFileSync(filePath, 'utf8')).closures || [];
+  }
+
+  const save = () => {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ closures }, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  const now = () => new Date().toISOString();
+
+  return {
+    get size() {
+      return closures.length;
+    },
+
+    list({ status = null, at = now() } = {}) {
+      const features = closures
+        .map((closure) => toFeature(closure, at))
+        .filter((f) => !status || f.properties.status === status);
+      return { type: 'FeatureCollection', features };
+    },
+
+    add(input) {
+      const closure = { id: crypto.randomUUID(), ...parseClosure(input), created_at: now() };
+      closures.push(closure);
+      save();
+      return toFeature(closure, now());
+    },
+
+    remove(id) {
+      const index = closures.findIndex((c) => c.id === id);
+      if (index < 0) throw new RequestError(`No closure with id ${id}`, 404);
+      closures.splice(index, 1);
+      save();
+    },
+
+    // Closures in force for a profile right now
+    active(profile, at = now()) {
+      return closures.filter((c) => c.profiles.includes(profile) && statusAt(c, at) === 'active');
+    },
+  };
+}
+
+const lineParts = (geometry) => (geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates);
+
+const distanceToLine = (coord, parts) => {
+  let best = Infinity;
+  parts.forEach((coords) => {
+    for (let i = 0; i < coords.length - 1; i++) {
+      best = Math.min(best, projectOnSegment(coord, coords[i], coords[i + 1]).distance);
+    }
+  });
+  return best;
+};
+
+// The edge objects a set of closures shuts: any edge touching an area, or running along a line
+function closedEdges(graph, closures) {
+  const closed = new Set();
+  const index = edgeIndex(graph);
+
+  closures.forEach(({ geometry }) => {
+    const [minX, minY, maxX, maxY] = turf.bbox(geometry);
+
+    if (AREA_TYPES.includes(geometry.type)) {
+      index.search([minX, minY, maxX, maxY]).forEach(({ from, edge }) => {
+        if (turf.booleanIntersects(turf.lineString([graph.nodes[from], graph.nodes[edge.to]]), geometry)) closed.add(edge);
+      });
+      return;
+    }
+
+    // Degrees of padding for the tolerance; a little generous away from the equator, which is fine
+    const pad = LINE_TOLERANCE_M / 111320 / Math.cos((((minY + maxY) / 2) * Math.PI) / 180);
+    const parts = lineParts(geometry);
+    index.search([minX - pad, minY - pad, maxX + pad, maxY + pad]).forEach(({ from, edge }) => {
+      const a = graph.nodes[from];
+      const b = graph.nodes[edge.to];
+      const middle = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+      if ([a, middle, b].every((coord) => distanceToLine(coord, parts) <= LINE_TOLERANCE_M)) closed.add(edge);
+    });
+  });
+
+  return closed;
+}
+
+// Gives each graph a `closures` handle that the searches in roadGraph consult. The closed edge set
+// is recomputed only when the set of active closures changes, whether by an edit or a time window
+function applyClosures(graphs, store) {
+  Object.values(graphs).forEach((graph) => {
+    let memo = { key: '', closed: null };
+    const key = () => store.active(graph.profile).map((c) => c.id).sort().join(',');
+
+    graph.closures = {
+      key,
+      closed() {
+        const current = key();
+        if (current !== memo.key) {
+          memo = { key: current, closed: current ? closedEdges(graph, store.active(graph.profile)) : null };
+        }
+        return memo.closed;
+      },
+    };
+  });
+}
+
+// How many road segments a closure shuts per profile, so a line drawn off the road is noticed
+function closureImpact(graphs, feature) {
+  const impact = {};
+  Object.values(graphs).forEach((graph) => {
+    if (!feature.properties.profiles.includes(graph.profile)) return;
+    impact[graph.profile] = closedEdges(graph, [feature]).size;
+  });
+  return impact;
+}
+
+module.exports = {
+  applyClosures,
+  closureImpact,
+  createClosureStore,
+};
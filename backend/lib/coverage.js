@@ -0,0 +1,122 @@
+const turf = require('@turf/turf');
+const { RequestError } = require('./errors');
+const { matchesPoi, poiFilters } = require('./serviceAreas');
+const { createCache } = require('./cache');
+const { SpatialIndex } = require('./spatialIndex');
+
+const MIN_CELL_KM = 0.25;
+const MAX_CELL_KM = 5;
+
+const cache = createCache(20);
+
+const lower = (value) => (value || '').toString().trim().toLowerCase();
+
+const parseThresholds = (value) =>
+  String(value || '1,2,5')
+    .split(',')
+    .map((v) => parseFloat(v.trim()))
+    .filter((v) => !isNaN(v) && v > 0)
+    .sort((a, b) => a - b);
+
+function normalizeParams(query) {
+  const params = {
+    ...poiFilters(query),
+    grid: lower(query.grid) || 'hex',
+    cellSize: query.cellSize !== undefined ? parseFloat(query.cellSize) : 1,
+    within: parseThresholds(query.within),
+  };
+
+  if (!params.category && !params.amenity) {
+    throw new RequestError('category or amenity is required', 400);
+  }
+  if (params.grid !== 'hex' && params.grid !== 'square') {
+    throw new RequestError('grid must be hex or square', 400);
+  }
+  if (isNaN(params.cellSize) || params.cellSize < MIN_CELL_KM || params.cellSize > MAX_CELL_KM) {
+    throw new RequestError(`cellSize must be between ${MIN_CELL_KM} and ${MAX_CELL_KM} km`, 400);
+  }
+
+  return params;
+}
+
+const percentile = (sorted, p) => {
+  if (!sorted.length) return null;
+  const index = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+  return sorted[index];
+};
+
+const round = (value, digits = 3) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+// Grid cells over the boundary, each scored by the straight-line distance from its centre to the nearest matching POI
+function computeCoverageGaps(boundary, poiCollection, query) {
+  const params = normalizeParams(query);
+  const cached = cache.get(params);
+  if (cached) return cached;
+
+  const pois = poiCollection.features.filter((f) => f.geometry?.type === 'Point' && matchesPoi(f, params));
+  if (!pois.length) {
+    throw new RequestError('No POIs match the requested category', 404);
+  }
+
+  const poiIndex = SpatialIndex.forPoints(pois);
+  const mask = boundary.features[0];
+  const bbox = turf.bbox(boundary);
+  const gridFn = params.grid === 'hex' ? turf.hexGrid : turf.squareGrid;
+  const grid = gridFn(bbox, params.cellSize, { units: 'kilometers', mask });
+
+  let totalArea = 0;
+  const withinArea = params.within.map(() => 0);
+  const distances = [];
+
+  const features = grid.features.map((cell) => {
+    const center = turf.centroid(cell).geometry.coordinates;
+    const [{ item: nearest, distance: meters }] = poiIndex.nearest(center);
+    const distance = meters / 1000;
+    const area = turf.area(cell);
+
+    totalArea += area;
+    params.within.forEach((limit, i) => {
+      if (distance <= limit) withinArea[i] += area;
+    });
+    distances.push(distance);
+
+    return {
+      type: 'Feature',
+      geometry: cell.geometry,
+      properties: {
+        distance_km: round(distance),
+        nearest_name: nearest.properties?.name || nearest.properties?.name_clean || 'Unnamed',
+        nearest_id: nearest.properties?.id ?? null,
+      },
+    };
+  });
+
+  distances.sort((a, b) => a - b);
+
+  const result = {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      ...params,
+      poi_count: pois.length,
+      summary: {
+        cell_count: features.length,
+        area_km2: round(totalArea / 1e6, 2),
+        mean_distance_km: round(distances.reduce((sum, d) => sum + d, 0) / (distances.length || 1)),
+        median_distance_km: round(percentile(distances, 0.5)),
+        p90_distance_km: round(percentile(distances, 0.9)),
+        max_distance_km: round(distances[distances.length - 1] ?? null),
+        pct_area_within: params.within.map((limit, i) => ({
+          km: limit,
+          pct: round(totalArea ? (withinArea[i] / totalArea) * 100 : 0, 1),
+        })),
+      },
+    },
+  };
+
+  return cache.set(params, result);
+}
+
+module.exports = {
+  computeCoverageGaps,
+};
@@ -0,0 +1,242 @@
+const { SpatialIndex } = require('./spatialIndex');
+const { editDistance, maxEdits, tokenize } = require('./searchIndex');
+const { nameVariants } = require('./names');
+
+const DEFAULTS = {
+  // Pairs closer than this, with the same amenity and similar enough names, are merged
+  merge_distance_m: 50,
+  merge_name_similarity: 0.9,
+  // Looser matches are not merged but listed for review
+  review_distance_m: 150,
+  review_name_similarity: 0.6,
+};
+
+const lower = (value) => (value || '').toString().trim().toLowerCase();
+const amenities = (f) => new Set(String(f.properties?.amenity || '').split(';').map(lower).filter(Boolean));
+
+// Only name and name:<lang> are compared. A brand is shared by every outlet of a chain, and two
+// pharmacies of the same chain on one street are different places
+const isOwnName = ({ key }) => key === 'name' || key.startsWith('name:');
+
+const tokenSets = (feature) => {
+  const seen = new Set();
+  return nameVariants(feature)
+    .filter(isOwnName)
+    .map((v) => [...new Set(tokenize(v.value))])
+    .filter((tokens) => {
+      const key = tokens.join(' ');
+      if (!tokens.length || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const tokensMatch = (a, b) => {
+  const max = maxEdits(Math.min(a.length, b.length));
+  return a === b || (max > 0 && editDistance(a, b, max) <= max);
+};
+
+// Share of words the two names have in common, allowing typos per word. Word-level so that
+// "Ramna Restaurant" and "Raza Restaurant" stay apart while "Murtaza" / "Murtaaza" still match
+function tokenSimilarity(a, b) {
+  const used = new Set();
+  let matched = 0;
+  a.forEach((token) => {
+    const j = b.findIndex((other, k) => !used.has(k) && tokensMatch(token, other));
+    if (j >= 0) {
+      used.add(j);
+      matched++;
+    }
+  });
+  return matched / Math.max(a.length, b.length);
+}
+
+// Best similarity across every pair of name variants; 0 when either side is unnamed
+function nameSimilarity(a, b) {
+  let best = 0;
+  a.forEach((x) => b.forEach((y) => {
+    best = Math.max(best, tokenSimilarity(x, y));
+  }));
+  return best;
+}
+
+// Union-find over feature positions
+function makeClusters(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  return {
+    union: (a, b) => {
+      parent[find(a)] = find(b);
+    },
+    groups: () => {
+      const groups = new Map();
+      parent.forEach((_, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(i);
+      });
+      return [...groups.values()];
+    },
+  };
+}
+
+// The best-described member is kept: most tags, then an English name, then the oldest OSM id
+const compareMembers = (a, b) => {
+  const tags = Object.keys(b.properties?.tags || {}).length - Object.keys(a.properties?.tags || {}).length;
+  if (tags) return tags;
+  const english = Number(!!b.properties?.tags?.['name:en']) - Number(!!a.properties?.tags?.['name:en']);
+  if (english) return english;
+  return (a.properties?.id ?? 0) - (b.properties?.id ?? 0);
+};
+
+const rankMembers = (features) => [...features].sort(compareMembers);
+
+// One feature for a cluster of duplicates. Tags missing from the kept feature are filled in from
+// the others, and tag_sources records which OSM id each borrowed tag came from
+function mergeCluster(features) {
+  const [primary, ...rest] = rankMembers(features);
+  const tags = { ...(primary.properties?.tags || {}) };
+  const tagSources = {};
+  const conflicts = {};
+
+  rest.forEach((f) => {
+    Object.entries(f.properties?.tags || {}).forEach(([key, value]) => {
+      if (tags[key] === undefined) {
+        tags[key] = value;
+        tagSources[key] = f.properties?.id ?? null;
+      } else if (tags[key] !== value) {
+        conflicts[key] = [...new Set([...(conflicts[key] || [tags[key]]), value])];
+      }
+    });
+  });
+
+  return {
+    feature: {
+      ...primary,
+      properties: {
+        ...primary.properties,
+        tags,
+        merged_from: rest.map((f) => f.properties?.id ?? null),
+        tag_sources: tagSources,
+      },
+    },
+    conflicts,
+  };
+}
+
+const describe = (f) => ({
+  id: f.properties?.id ?? null,
+  name: f.properties?.name || null,
+  amenity: f.properties?.amenity || null,
+  coordinates: f.geometry.coordinates,
+});
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+// Finds duplicate POIs by distance, name similarity across name variants and amenity, and merges
+// the confident ones. Returns the deduplicated features plus what was merged and what needs review
+function deduplicate(features, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const points = features.filter((f) => f.geometry?.type === 'Point');
+  const position = new Map(points.map((f, i) => [f, i]));
+  const names = points.map(tokenSets);
+  const index = SpatialIndex.forPoints(points);
+  const clusters = makeClusters(points.length);
+  const review = [];
+  // Pairs that pass the merge test, keyed "i,j" with i < j
+  const mergeable = new Map();
+  const pairKey = (i, j) => (i < j ? `${i},${j}` : `${j},${i}`);
+
+  const addReview = (i, j, { distance, similarity, sameAmenity }, reason) => review.push({
+    a: describe(points[i]),
+    b: describe(points[j]),
+    distance_m: round(distance, 1),
+    name_similarity: round(similarity),
+    same_amenity: sameAmenity,
+    reason,
+  });
+
+  points.forEach((a, i) => {
+    index.within(a.geometry.coordinates, config.review_distance_m).forEach(({ item: b, distance }) => {
+      const j = position.get(b);
+      if (j <= i) return;
+
+      const similarity = nameSimilarity(names[i], names[j]);
+      if (similarity < config.review_name_similarity) return;
+
+      const amenityA = amenities(a);
+      const sameAmenity = [...amenities(b)].some((value) => amenityA.has(value));
+      if (sameAmenity && distance <= config.merge_distance_m && similarity >= config.merge_name_similarity) {
+        clusters.union(i, j);
+        mergeable.set(pairKey(i, j), { distance, similarity, sameAmenity });
+        return;
+      }
+
+      const reasons = [];
+      if (!sameAmenity) reasons.push('different amenity');
+      if (distance > config.merge_distance_m) reasons.push('too far apart');
+      if (similarity < config.merge_name_similarity) reasons.push('names differ');
+      addReview(i, j, { distance, similarity, sameAmenity }, reasons.join(', '));
+    });
+  });
+
+  // Union-find chains POIs together through their neighbours, so A, B and C share a cluster when
+  // only A-B and B-C match. Each cluster is split around its best-ranked member instead: the kept
+  // POI takes only the members it matches itself, and the rest start over among themselves
+  const groups = [];
+  clusters.groups().forEach((group) => {
+    let remaining = [...group].sort((i, j) => compareMembers(points[i], points[j]));
+    while (remaining.length > 1) {
+      const [kept, ...others] = remaining;
+      const members = others.filter((i) => mergeable.has(pairKey(kept, i)));
+      remaining = others.filter((i) => !mergeable.has(pairKey(kept, i)));
+      if (members.length) groups.push([kept, ...members].sort((i, j) => i - j));
+    }
+  });
+  const groupOf = new Map();
+  groups.forEach((group, g) => group.forEach((i) => groupOf.set(i, g)));
+  mergeable.forEach((pair, key) => {
+    const [i, j] = key.split(',').map(Number);
+    if (!groupOf.has(i) || groupOf.get(i) !== groupOf.get(j)) addReview(i, j, pair, 'matched, but one was merged into a POI the other does not match');
+  });
+
+  // Merged features take the place of their first member so the output keeps the input order
+  const merged = [];
+  const replacement = new Map();
+  groups.forEach((group) => {
+    const { feature, conflicts } = mergeCluster(group.map((i) => points[i]));
+    group.forEach((i, k) => replacement.set(points[i], k === 0 ? feature : null));
+    merged.push({
+      kept: describe(feature),
+      merged: feature.properties.merged_from,
+      names: [...new Set(group.map((i) => points[i].properties?.name).filter(Boolean))],
+      tags_added: Object.keys(feature.properties.tag_sources),
+      tag_conflicts: conflicts,
+    });
+  });
+
+  // Pairs that ended up in the same merged cluster through other members aren't uncertain any more
+  const mergedIds = new Map();
+  merged.forEach((m) => [m.kept.id, ...m.merged].forEach((id) => mergedIds.set(id, m.kept.id)));
+  const uncertain = review.filter(({ a, b }) => !mergedIds.has(a.id) || mergedIds.get(a.id) !== mergedIds.get(b.id));
+
+  return {
+    features: features
+      .map((f) => (replacement.has(f) ? replacement.get(f) : f))
+      .filter(Boolean),
+    merged,
+    review: uncertain.sort((x, y) => y.name_similarity - x.name_similarity || x.distance_m - y.distance_m),
+    config,
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  deduplicate,
+};
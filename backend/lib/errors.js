@@ -0,0 +1,13 @@
+// A request the API can't serve as asked: bad parameters, unknown ids, missing data. `status` is the
+// HTTP status to answer with. RoutingError (./routing) extends it for failures of the routing engines
+class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
+
+module.exports = {
+  RequestError,
+};
@@ -0,0 +1,193 @@
+const turf = require('@turf/turf');
+const { displayName, nameVariants } = require('./names');
+const { RequestError } = require('./errors');
+
+const DEFAULT_REVERSE_MAX_KM = 0.5;
+const MAX_REVERSE_MAX_KM = 5;
+const REVERSE_ROAD_MAX_M = 300;
+// A POI this close is part of the address ("Shaheen Chemist, Jinnah Avenue, F-7/2")
+const ADDRESS_POI_MAX_M = 75;
+// A POI hit scoring this well (every word matched, give or take a typo) is taken over an area-level address
+const STRONG_MATCH_SCORE = 0.75;
+
+const round = (value, digits = 3) => parseFloat(value.toFixed(digits));
+
+const LAT_LNG = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+// A language code as found in name:<code> tags, or "roman" for Roman Urdu
+const LANG_CODE = /^(?:[a-z]{2,3}|roman)$/;
+
+// The lang query parameter, or null when it's absent. Only the first of a repeated parameter counts
+function parseLang(value) {
+  const lang = String((Array.isArray(value) ? value[0] : value) ?? '').trim().toLowerCase();
+  if (!lang) return null;
+  if (!LANG_CODE.test(lang)) throw new RequestError(`Invalid lang "${lang}". Use a language code such as en or ur`, 400);
+  return lang;
+}
+
+// Forward and reverse geocoding over whichever indexes are loaded; /search, /reverse and the batch jobs share it
+function createGeocoder({ searchIndex, addressGeocoder, poiIndex, roadIndex, poisById = new Map() }) {
+  // `bounds` is [minLng, minLat, maxLng, maxLat], `near` is [lng, lat]
+  const search = (q, { limit = 20, bounds = null, near = null, lang = null } = {}) => {
+    const inBounds = bounds
+      ? (f) => {
+        const [lng, lat] = f.geometry.coordinates;
+        return lng >= bounds[0] && lat >= bounds[1] && lng <= bounds[2] && lat <= bounds[3];
+      }
+      : null;
+
+    const toResult = ({ feature: f, score, distance }) => ({
+      name: displayName(f, lang),
+      category: f.properties?.category_group || f.properties?.amenity || 'N/A',
+      coordinates: f.geometry.coordinates,
+      score: round(score),
+      ...(distance !== null ? { distance_km: round(distance / 1000) } : {}),
+    });
+    const hits = searchIndex.search(q, { limit, filter: inBounds, near });
+
+    const address = addressGeocoder ? addressGeocoder.geocode(q) : null;
+    if (!address) return hits.map(toResult);
+
+    const addressResult = {
+      name: address.formatted,
+      category: `Address (${address.confidence} confidence)`,
+      coordinates: address.coordinates,
+      type: 'address',
+      match_level: address.match_level,
+      confidence: address.confidence,
+    };
+
+    // A house or street pins the point, as does a bare area; the POI name matches for those are usually noise
+    const { place } = address.components;
+    if (!address.geometry || !place) return [addressResult, ...hits.map(toResult)].slice(0, limit);
+
+    // Only an area matched, and the rest of the text ("Masjid F-7/1", "Askari Bank, F-7") names a place.
+    // Found in that area, or anywhere if the whole text names a POI well, it beats the area's centre
+    const inArea = searchIndex
+      .search(place, {
+        limit,
+        filter: (f) => (!inBounds || inBounds(f)) && turf.booleanPointInPolygon(f, address.geometry),
+        near,
+      })
+      .filter(({ score }) => score >= STRONG_MATCH_SCORE);
+    const strong = inArea.length ? inArea : hits.filter(({ score }) => score >= STRONG_MATCH_SCORE);
+    const seen = new Set(strong.map((hit) => hit.feature));
+    const rest = hits.filter((hit) => !seen.has(hit.feature));
+
+    return [...strong.map(toResult), addressResult, ...rest.map(toResult)].slice(0, limit);
+  };
+
+  const reverse = ([lng, lat], { maxKm = DEFAULT_REVERSE_MAX_KM, lang = null } = {}) => {
+    const point = [lng, lat];
+    const { sector, subsector } = addressGeocoder ? addressGeocoder.locate(point) : { sector: null, subsector: null };
+    const area = subsector || sector;
+
+    // A named road within reach beats a closer service lane with no name
+    let road = null;
+    if (roadIndex) {
+      const [named] = roadIndex.nearest(point, { maxDistance: REVERSE_ROAD_MAX_M, filter: (s) => !!s.name });
+      const [any] = roadIndex.nearest(point, { maxDistance: REVERSE_ROAD_MAX_M });
+      const best = named || any;
+      if (best) {
+        road = {
+          name: best.item.name || null,
+          highway: best.item.highway,
+          distance_m: Math.round(best.distance),
+        };
+      }
+    }
+
+    const [match] = poiIndex.nearest(point, { maxDistance: maxKm * 1000 });
+    const poi = match
+      ? {
+        id: match.item.properties?.id ?? null,
+        name: displayName(match.item, lang),
+        category: match.item.properties?.category_group || match.item.properties?.amenity || 'N/A',
+        amenity: match.item.properties?.amenity || null,
+        coordinates: match.item.geometry.coordinates,
+        distance_km: round(match.distance / 1000),
+      }
+      : null;
+
+    if (!area && !road && !poi) {
+      return {
+        status: 'no_match',
+        query: { lat, lng },
+        max_distance_km: maxKm,
+        message: `Nothing found within ${maxKm} km`,
+      };
+    }
+
+    // An unnamed POI would put "Unnamed" in the address; the road and area say more
+    const addressPoi = poi && match.distance <= ADDRESS_POI_MAX_M && nameVariants(match.item).length ? poi.name : null;
+    const address = [addressPoi, road?.name, area?.properties.name, 'Islamabad'].filter(Boolean).join(', ');
+
+    return {
+      status: 'ok',
+      query: { lat, lng },
+      address,
+      components: {
+        poi: addressPoi,
+        road: road?.name || null,
+        subsector: subsector?.properties.name || null,
+        sector: sector?.properties.name || null,
+        city: 'Islamabad',
+      },
+      area: area
+        ? { name: area.properties.name, level: area.properties.level, approximate: area.properties.source === 'approx', geometry: area.geometry }
+        : null,
+      road,
+      poi,
+      // Flat fields kept for older clients that read the nearest POI directly
+      ...(poi ? { name: poi.name, category: poi.category, coordinates: poi.coordinates, distance_km: poi.distance_km } : {}),
+    };
+  };
+
+  // A route endpoint typed by the user: "lat,lng", "poi:<id>" or a bare POI id, else a place name or
+  // address, taking the best search hit. Returns { coordinates: [lng, lat], name, source, match? }.
+  // A repeated query parameter arrives as an array; as with lang, the first value is used
+  const resolve = (value, { near = null, lang = null } = {}) => {
+    const text = String((Array.isArray(value) ? value[0] : value) ?? '').trim();
+    if (!text) throw new RequestError('Empty location', 400);
+
+    const latLng = text.match(LAT_LNG);
+    if (latLng) {
+      const lat = parseFloat(latLng[1]);
+      const lng = parseFloat(latLng[2]);
+      if (Math.abs(lat) > 90 || Math.abs(lng) > 180) throw new RequestError(`Invalid coordinates "${text}"`, 400);
+      return { coordinates: [lng, lat], name: null, source: 'coordinates' };
+    }
+
+    const poiId = text.replace(/^poi:/i, '');
+    const poi = /^\d+$/.test(poiId) ? poisById.get(poiId) : null;
+    if (poi) {
+      return { coordinates: poi.geometry.coordinates, name: displayName(poi, lang), source: 'poi', poi_id: poi.properties.id };
+    }
+    if (/^poi:/i.test(text)) throw new RequestError(`Unknown POI id "${poiId}"`, 404);
+
+    const [best] = searchIndex ? search(text, { limit: 1, near, lang }) : [];
+    if (!best) throw new RequestError(`No place found for "${text}"`, 404);
+    // `match` says what the text was taken as: a POI, or an address down to house, street or only an area
+    return best.type === 'address'
+      ? { coordinates: best.coordinates, name: best.name, source: 'address', match: best.match_level, confidence: best.confidence }
+      : { coordinates: best.coordinates, name: best.name, source: 'place', match: 'poi', score: best.score };
+  };
+
+  // A short label for a point: the POI right there, else the road and area from reverse geocoding
+  const label = (coord, { lang = null } = {}) => {
+    if (!poiIndex) return null;
+    const result = reverse(coord, { maxKm: ADDRESS_POI_MAX_M / 1000, lang });
+    if (result.status !== 'ok') return null;
+    const { poi, road, subsector, sector } = result.components;
+    return [poi || road, subsector || sector].filter(Boolean).join(', ') || null;
+  };
+
+  return { search, reverse, resolve, label };
+}
+
+module.exports = {
+  DEFAULT_REVERSE_MAX_KM,
+  MAX_REVERSE_MAX_KM,
+  createGeocoder,
+  parseLang,
+};
@@ -0,0 +1,133 @@
+const turf = require('@turf/turf');
+const { nodeDegree } = require('./roadGraph');
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// A change of heading below this at a junction is not worth a separate step
+const TURN_THRESHOLD = 30;
+
+const compassDirection = (bearing) => COMPASS[Math.round(((bearing + 360) % 360) / 45) % 8];
+
+const normalizeAngle = (angle) => {
+  const a = ((angle % 360) + 360) % 360;
+  return a > 180 ? a - 360 : a;
+};
+
+const turnModifier = (angle) => {
+  const abs = Math.abs(angle);
+  if (abs < 15) return 'straight';
+  if (abs >= 170) return 'uturn';
+  const side = angle > 0 ? 'right' : 'left';
+  if (abs < 45) return `slight ${side}`;
+  if (abs < 135) return side;
+  return `sharp ${side}`;
+};
+
+const roadName = (name) => name || 'the road';
+
+function instructionText(maneuver, name, { isLastLeg = true } = {}) {
+  const { type, modifier } = maneuver;
+
+  if (type === 'depart') {
+    return `Head ${compassDirection(maneuver.bearing_after)} on ${roadName(name)}`;
+  }
+  if (type === 'arrive') {
+    return isLastLeg ? 'You have arrived at your destination' : 'You have arrived at your stop';
+  }
+  if (type === 'roundabout' || type === 'rotary') {
+    return maneuver.exit ? `Enter the roundabout and take exit ${maneuver.exit} onto ${roadName(name)}` : `Enter the roundabout towards ${roadName(name)}`;
+  }
+  if (modifier === 'uturn') {
+    return `Make a U-turn onto ${roadName(name)}`;
+  }
+  if (!modifier || modifier === 'straight') {
+    return `Continue straight onto ${roadName(name)}`;
+  }
+  return `Turn ${modifier} onto ${roadName(name)}`;
+}
+
+// Groups the path's edges into steps, starting a new one when the road name changes or the route turns at a junction
+function buildSteps(graph, path, { isLastLeg = true } = {}) {
+  const { nodes } = graph;
+  const degree = nodeDegree(graph);
+  // Paths between snapped points carry their own coordinates, ends included
+  const coords = path.coords || path.nodes.map((id) => nodes[id]);
+  const steps = [];
+
+  const startStep = (index, maneuver) => ({
+    name: path.edges[index].name,
+    distance: 0,
+    duration: 0,
+    maneuver: { ...maneuver, location: coords[index] },
+  });
+
+  if (path.edges.length) {
+    let current = startStep(0, {
+      type: 'depart',
+      bearing_before: 0,
+      bearing_after: Math.round((turf.bearing(coords[0], coords[1]) + 360) % 360),
+    });
+
+    path.edges.forEach((edge, i) => {
+      if (i > 0) {
+        const bearingBefore = turf.bearing(coords[i - 1], coords[i]);
+        const bearingAfter = turf.bearing(coords[i], coords[i + 1]);
+        const angle = normalizeAngle(bearingAfter - bearingBefore);
+        const atJunction = degree[path.nodes[i]] > 2;
+        const nameChanged = edge.name !== path.edges[i - 1].name;
+
+        if (nameChanged || (atJunction && Math.abs(angle) >= TURN_THRESHOLD)) {
+          steps.push(current);
+          current = startStep(i, {
+            type: 'turn',
+            modifier: turnModifier(angle),
+            bearing_before: Math.round((bearingBefore + 360) % 360),
+            bearing_after: Math.round((bearingAfter + 360) % 360),
+          });
+        }
+      }
+      current.distance += edge.distance;
+      current.duration += edge.duration;
+    });
+    steps.push(current);
+  }
+
+  steps.push({
+    name: path.edges.length ? path.edges[path.edges.length - 1].name : '',
+    distance: 0,
+    duration: 0,
+    maneuver: { type: 'arrive', location: coords[coords.length - 1] },
+  });
+
+  return steps.map((step) => ({
+    ...step,
+    instruction: instructionText(step.maneuver, step.name, { isLastLeg }),
+  }));
+}
+
+function fromOsrmSteps(osrmSteps, { isLastLeg = true } = {}) {
+  return (osrmSteps || []).map((step) => {
+    const maneuver = {
+      type: step.maneuver.type,
+      modifier: step.maneuver.modifier,
+      location: step.maneuver.location,
+      bearing_before: step.maneuver.bearing_before,
+      bearing_after: step.maneuver.bearing_after,
+      ...(step.maneuver.exit ? { exit: step.maneuver.exit } : {}),
+    };
+    return {
+      name: step.name || '',
+      distance: step.distance,
+      duration: step.duration,
+      maneuver,
+      instruction: instructionText(maneuver, step.name, { isLastLeg }),
+    };
+  });
+}
+
+module.exports = {
+  buildSteps,
+  compassDirection,
+  fromOsrmSteps,
+  instructionText,
+};
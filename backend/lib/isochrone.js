@@ -0,0 +1,82 @@
+const turf = require('@turf/turf');
+const { nearestNode, shortestPathTree } = require('./roadGraph');
+const { RoutingError, resolveProfile } = require('./routing');
+
+const MAX_MINUTES = 60;
+const MAX_THRESHOLDS = 6;
+
+// Longest hull edge in km; shorter keeps the polygon closer to the roads, longer avoids holes in sparse areas
+const HULL_MAX_EDGE = { driving: 1.5, cycling: 0.8, walking: 0.4 };
+
+const parseMinutes = (value) => {
+  const minutes = String(value || '')
+    .split(',')
+    .map((m) => parseFloat(m.trim()))
+    .filter((m) => !isNaN(m) && m > 0);
+  return [...new Set(minutes)].sort((a, b) => a - b);
+};
+
+const reachabilityHull = (points, profileName) => {
+  const hull = points.features.length >= 3
+    && (turf.concave(points, { maxEdge: HULL_MAX_EDGE[profileName], units: 'kilometers' }) || turf.convex(points));
+  // Too few nodes, or all of them along one straight road, make no polygon; a thin buffer stands in
+  return hull || turf.buffer(turf.envelope(points), 0.05, { units: 'kilometers' });
+};
+
+function computeIsochrones(graphs, origin, { profile, minutes }) {
+  if (!graphs) {
+    throw new RoutingError('Isochrones need the local road network (roads.geojson)', 503);
+  }
+  if (!minutes.length || minutes.length > MAX_THRESHOLDS || minutes[minutes.length - 1] > MAX_MINUTES) {
+    throw new RoutingError(`Provide 1-${MAX_THRESHOLDS} minute thresholds up to ${MAX_MINUTES} minutes`, 400);
+  }
+
+  const profileName = resolveProfile(profile);
+  const graph = graphs[profileName];
+  const start = nearestNode(graph, origin);
+  if (!start) return null;
+
+  const maxCost = minutes[minutes.length - 1] * 60;
+  const tree = shortestPathTree(graph, start.id, { maxCost });
+
+  const features = [];
+  let inner = null;
+  minutes.forEach((limit) => {
+    const reachable = [];
+    tree.cost.forEach((cost, id) => {
+      if (cost <= limit * 60) reachable.push(turf.point(graph.nodes[id]));
+    });
+
+    let polygon = reachabilityHull(turf.featureCollection(reachable), profileName);
+    if (!polygon) return;
+    if (inner) polygon = turf.union(turf.featureCollection([polygon, inner])) || polygon;
+    inner = polygon;
+
+    features.push({
+      type: 'Feature',
+      geometry: polygon.geometry,
+      properties: {
+        minutes: limit,
+        profile: profileName,
+        reachable_nodes: reachable.length,
+      },
+    });
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features: features.reverse(),
+    properties: {
+      origin,
+      snapped_origin: graph.nodes[start.id],
+      snap_distance_m: start.distance,
+      profile: profileName,
+    },
+  };
+}
+
+module.exports = {
+  computeIsochrones,
+  parseMinutes,
+  reachabilityHull,
+};
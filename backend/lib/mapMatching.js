@@ -0,0 +1,287 @@
+const { pathBetween, snapCandidates } = require('./roadGraph');
+const { RequestError } = require('./errors');
+const { resolveProfile } = require('./routing');
+const { SpatialIndex, haversine, projectOnSegment } = require('./spatialIndex');
+
+// Matching runs inside the request and holds the event loop; a sparse 1000-point trace takes about 0.2 s
+const MAX_TRACE_POINTS = 1000;
+const DEFAULT_BUFFER_M = 50;
+const MAX_BUFFER_M = 500;
+
+// Candidate roads for a point: up to MAX_CANDIDATES within SEARCH_RADIUS_M
+const SEARCH_RADIUS_M = 50;
+const MAX_CANDIDATES = 4;
+// Typical GPS error; a road this far from the fix is about 60% as likely as one right under it
+const GPS_SIGMA_M = 10;
+// How strongly a road path longer or shorter than the straight line between fixes is penalized
+const TRANSITION_BETA_M = 30;
+// Paths between fixes longer than this multiple of their straight-line distance (plus a margin)
+// aren't searched; the trace is broken there instead
+const MAX_DETOUR_FACTOR = 4;
+const DETOUR_MARGIN_M = 200;
+// GPS jitter can put a fix a little behind the previous one on a one-way road; treat that as standing still
+const BACKTRACK_M = 15;
+
+const round = (value, digits = 1) => parseFloat(value.toFixed(digits));
+
+// ISO strings, or epoch seconds / milliseconds
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value > 1e12 ? value : value * 1000;
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+};
+
+const attribute = (attrs, name) => {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? parseFloat(match[1]) : NaN;
+};
+
+// Track points (or route points) in document order; only lat, lon and time are read
+function parseGpx(text) {
+  const points = [];
+  const pattern = /<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const time = (match[3] || '').match(/<time>\s*([^<]+?)\s*<\/time>/);
+    points.push({ coord: [attribute(match[2], 'lon'), attribute(match[2], 'lat')], time: parseTime(time && time[1]) });
+  }
+  return points;
+}
+
+// A LineString or MultiLineString as a geometry, Feature or the first such feature of a
+// FeatureCollection. Times come from properties.coordTimes (as written by GPX converters) or properties.times
+function parseGeoJSON(body) {
+  const feature = body.type === 'FeatureCollection'
+    ? (body.features || []).find((f) => ['LineString', 'MultiLineString'].includes(f.geometry?.type))
+    : body.type === 'Feature' ? body : { geometry: body, properties: {} };
+  const geometry = feature?.geometry;
+  if (!geometry || !['LineString', 'MultiLineString'].includes(geometry.type)) {
+    throw new RequestError('Expected a GeoJSON LineString or MultiLineString, or a GPX file', 400);
+  }
+
+  const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(lines) || !lines.every((line) => Array.isArray(line) && line.every(Array.isArray))) {
+    throw new RequestError(`${geometry.type} coordinates must be ${geometry.type === 'LineString' ? 'a list' : 'lists'} of [lng, lat] positions`, 400);
+  }
+
+  const coords = lines.flat();
+  const times = [feature.properties?.coordTimes || feature.properties?.times || []].flat(2);
+  return coords.map((coord, i) => ({ coord: [coord[0], coord[1]], time: parseTime(times[i]) }));
+}
+
+// Request body to [{ coord: [lng, lat], time: epoch ms or null }]
+function parseTrace(body) {
+  const points = typeof body === 'string' ? parseGpx(body) : parseGeoJSON(body || {});
+
+  if (points.length < 2) throw new RequestError('A trace needs at least 2 points', 400);
+  if (points.length > MAX_TRACE_POINTS) throw new RequestError(`A trace can have at most ${MAX_TRACE_POINTS} points`, 400);
+  const invalid = points.findIndex(({ coord: [lng, lat] }) => !(Math.abs(lat) <= 90 && Math.abs(lng) <= 180));
+  if (invalid >= 0) throw new RequestError(`Point ${invalid} has invalid coordinates`, 400);
+
+  return points;
+}
+
+const emission = (snap) => -0.5 * (snap.distance / GPS_SIGMA_M) ** 2;
+
+const sameSegment = (a, b) => (a.from === b.from && a.to === b.to) || (a.from === b.to && a.to === b.from);
+
+// Shortest road path (by distance) between two candidates, or null when it's implausibly long
+function transitionPath(graph, a, b, straight) {
+  if (sameSegment(a, b)) {
+    const t = a.from === b.from ? b.t : 1 - b.t;
+    if ((a.t - t) * a.edge.distance > 0 && (a.t - t) * a.edge.distance < BACKTRACK_M && !a.reverse) {
+      return { coords: [a.point], distance: 0, duration: 0 };
+    }
+  }
+  const maxCost = straight * MAX_DETOUR_FACTOR + DETOUR_MARGIN_M;
+  const path = pathBetween(graph, a, b, { edgeCost: (edge) => edge.distance, maxCost });
+  return path && path.distance <= maxCost ? path : null;
+}
+
+// Viterbi over the candidate roads of each fix (Newson & Krumm's HMM). A fix with no road nearby,
+// or no plausible path from the previous one, ends the current run and the next fix starts a new one
+function viterbi(graph, points) {
+  const runs = [];
+  let run = null;
+
+  points.forEach((point, index) => {
+    const candidates = snapCandidates(graph, point.coord, { k: MAX_CANDIDATES, maxDistance: SEARCH_RADIUS_M });
+    if (!candidates.length) {
+      run = null;
+      return;
+    }
+
+    const previous = run && run[run.length - 1];
+    if (previous) {
+      const straight = haversine(points[previous.index].coord, point.coord);
+      const back = candidates.map((candidate) => {
+        let best = null;
+        previous.candidates.forEach((from, j) => {
+          if (previous.scores[j] === -Infinity) return;
+          const path = transitionPath(graph, from, candidate, straight);
+          if (!path) return;
+          const score = previous.scores[j] - Math.abs(path.distance - straight) / TRANSITION_BETA_M;
+          if (!best || score > best.score) best = { j, path, score };
+        });
+        return best;
+      });
+
+      if (back.some(Boolean)) {
+        run.push({
+          index,
+          candidates,
+          back,
+          scores: candidates.map((candidate, c) => (back[c] ? back[c].score + emission(candidate) : -Infinity)),
+        });
+        return;
+      }
+    }
+
+    run = [{ index, candidates, back: candidates.map(() => null), scores: candidates.map(emission) }];
+    runs.push(run);
+  });
+
+  return runs;
+}
+
+// Softmax of the final scores at a step: how clearly the chosen road beat the other candidates
+const confidence = (scores, chosen) => {
+  const top = Math.max(...scores);
+  const total = scores.reduce((sum, s) => sum + Math.exp(s - top), 0);
+  return Math.exp(scores[chosen] - top) / total;
+};
+
+// Walks the back pointers of a run from its best final candidate
+function backtrack(run) {
+  const last = run[run.length - 1];
+  let c = last.scores.indexOf(Math.max(...last.scores));
+  const matched = [];
+  for (let k = run.length - 1; k >= 0; k--) {
+    const step = run[k];
+    matched.unshift({ step, c, path: step.back[c] ? step.back[c].path : null });
+    if (step.back[c]) c = step.back[c].j;
+  }
+  return matched;
+}
+
+// POIs within `buffer` meters of the matched lines, in the order the trace passes them
+function poisAlong(lines, poiIndex, buffer) {
+  const segments = [];
+  let offset = 0;
+  lines.forEach((coords) => {
+    for (let i = 0; i < coords.length - 1; i++) {
+      segments.push({ coordinates: [coords[i], coords[i + 1]], along: offset });
+      offset += haversine(coords[i], coords[i + 1]);
+    }
+  });
+  if (!segments.length || !poiIndex) return [];
+
+  const segmentIndex = SpatialIndex.forSegments(segments);
+  const all = lines.flat();
+  const pad = buffer / 111320 / Math.cos((all[0][1] * Math.PI) / 180);
+  const bbox = [
+    Math.min(...all.map((c) => c[0])) - pad,
+    Math.min(...all.map((c) => c[1])) - pad,
+    Math.max(...all.map((c) => c[0])) + pad,
+    Math.max(...all.map((c) => c[1])) + pad,
+  ];
+
+  return poiIndex
+    .search(bbox)
+    .map((poi) => {
+      const [nearest] = segmentIndex.nearest(poi.geometry.coordinates, { maxDistance: buffer });
+      if (!nearest) return null;
+      const { coordinates: [a, b], along } = nearest.item;
+      const { point } = projectOnSegment(poi.geometry.coordinates, a, b);
+      return {
+        id: poi.properties?.id ?? null,
+        name: poi.properties?.name || null,
+        category: poi.properties?.category || null,
+        location: poi.geometry.coordinates,
+        distance: round(nearest.distance),
+        along: round(along + haversine(a, point)),
+      };
+    })
+    .filter(Boolean)
+    .sort((x, y) => x.along - y.along);
+}
+
+function matchTrace(graphs, points, { profile, poiIndex = null, buffer } = {}) {
+  if (!graphs) {
+    throw new RequestError('Map matching needs the local road network (roads.geojson)', 503);
+  }
+  const bufferM = buffer === undefined || buffer === '' ? DEFAULT_BUFFER_M : Number(buffer);
+  if (isNaN(bufferM) || bufferM < 0 || bufferM > MAX_BUFFER_M) {
+    throw new RequestError(`buffer must be between 0 and ${MAX_BUFFER_M} meters`, 400);
+  }
+
+  const profileName = resolveProfile(profile);
+  const graph = graphs[profileName];
+
+  const results = points.map((point, index) => ({
+    index,
+    input: point.coord,
+    time: point.time === null ? null : new Date(point.time).toISOString(),
+    location: null,
+    distance: null,
+    road: null,
+    confidence: 0,
+  }));
+
+  const lines = [];
+  let distance = 0;
+  let expectedDuration = 0;
+  viterbi(graph, points).forEach((run) => {
+    const line = [];
+    backtrack(run).forEach(({ step, c, path }) => {
+      const snap = step.candidates[c];
+      Object.assign(results[step.index], {
+        location: snap.point,
+        distance: round(snap.distance),
+        road: snap.edge.name || null,
+        confidence: round(confidence(step.scores, c), 3),
+      });
+
+      if (!path) {
+        line.push(snap.point);
+        return;
+      }
+      line.push(...path.coords.slice(1));
+      distance += path.distance;
+      expectedDuration += path.duration;
+    });
+    if (line.length > 1) lines.push(line);
+  });
+
+  const matchedCount = results.filter((r) => r.location).length;
+  if (!matchedCount) {
+    throw new RequestError(`No point of the trace is within ${SEARCH_RADIUS_M} m of a road`, 422);
+  }
+
+  // Recorded duration: first to last timestamp, when the trace has them
+  const times = points.map((p) => p.time).filter((t) => t !== null);
+  const duration = times.length > 1 ? (Math.max(...times) - Math.min(...times)) / 1000 : null;
+
+  return {
+    geometry: lines.length === 1
+      ? { type: 'LineString', coordinates: lines[0] }
+      : { type: 'MultiLineString', coordinates: lines },
+    distance: round(distance),
+    duration,
+    expected_duration: round(expectedDuration),
+    matched_points: matchedCount,
+    total_points: points.length,
+    // Each run is a stretch matched without a break; a gap in the trace or an off-road stretch starts a new one
+    runs: lines.length,
+    points: results,
+    pois: poisAlong(lines, poiIndex, bufferM),
+    buffer: bufferM,
+    profile: profileName,
+  };
+}
+
+module.exports = {
+  matchTrace,
+  parseTrace,
+};
@@ -0,0 +1,137 @@
+const { RoutingError, computeMatrix, resolveEngine } = require('./routing');
+const { displayName } = require('./names');
+const { toCsv } = require('./batch');
+
+const MAX_MATRIX_SIDE = 100;
+const MAX_MATRIX_CELLS = 2500;
+// The public OSRM table service refuses more coordinates than this in one request
+const MAX_OSRM_POINTS = 100;
+
+const CSV_COLUMNS = [
+  'origin_index', 'origin_id', 'origin_name', 'origin_lat', 'origin_lng',
+  'destination_index', 'destination_id', 'destination_name', 'destination_lat', 'destination_lng',
+  'distance_m', 'duration_s',
+];
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+const fromPoi = (feature) => ({
+  poi_id: feature.properties?.id ?? null,
+  name: displayName(feature, null),
+  coordinates: feature.geometry.coordinates,
+});
+
+const fromLatLng = (lat, lng) => {
+  const latNum = parseFloat(lat);
+  const lngNum = parseFloat(lng);
+  if (isNaN(latNum) || isNaN(lngNum) || Math.abs(latNum) > 90 || Math.abs(lngNum) > 180) return null;
+  return { poi_id: null, name: null, coordinates: [lngNum, latNum] };
+};
+
+// "lat,lng", "poi:<id>" or a bare POI id; in JSON also [lat, lng], { lat, lng } and { poi: <id> }
+function parseLocation(value, poisById) {
+  const lookup = (id) => {
+    const feature = poisById ? poisById.get(String(id).trim()) : null;
+    if (!feature) throw new RoutingError(`Unknown POI id "${id}"`, 404);
+    return fromPoi(feature);
+  };
+
+  let location = null;
+  if (Array.isArray(value)) {
+    location = value.length === 2 ? fromLatLng(value[0], value[1]) : null;
+  } else if (value && typeof value === 'object') {
+    if (value.poi !== undefined || value.poi_id !== undefined) return lookup(value.poi ?? value.poi_id);
+    location = fromLatLng(value.lat, value.lng ?? value.lon);
+  } else if (typeof value === 'number') {
+    return lookup(value);
+  } else if (typeof value === 'string') {
+    const text = value.trim();
+    if (/^poi:/i.test(text)) return lookup(text.slice(4));
+    if (!text.includes(',')) return lookup(text);
+    const [lat, lng, ...rest] = text.split(',');
+    location = rest.length ? null : fromLatLng(lat, lng);
+  }
+
+  if (!location) {
+    throw new RoutingError(`Invalid location ${JSON.stringify(value)}. Use lat,lng or poi:<id>`, 400);
+  }
+  return location;
+}
+
+// Query strings separate locations with ";", in one parameter or repeated ones; JSON bodies send an array
+function parseLocations(value, poisById, label) {
+  const values = typeof value === 'string' || (Array.isArray(value) && value.every((v) => typeof v === 'string'))
+    ? [].concat(value).flatMap((v) => v.split(';')).filter((v) => v.trim())
+    : value;
+  if (!Array.isArray(values) || !values.length) {
+    throw new RoutingError(`${label} must list at least one location`, 400);
+  }
+  if (values.length > MAX_MATRIX_SIDE) {
+    throw new RoutingError(`At most ${MAX_MATRIX_SIDE} ${label}`, 400);
+  }
+  return values.map((v) => parseLocation(v, poisById));
+}
+
+// Travel costs from every origin to every destination on the same engine /route uses.
+// Cells with no route are null
+async function buildMatrix(graphs, origins, destinations, { profile } = {}) {
+  if (origins.length * destinations.length > MAX_MATRIX_CELLS) {
+    throw new RoutingError(`Matrix too large: ${origins.length}x${destinations.length} exceeds ${MAX_MATRIX_CELLS} cells`, 400);
+  }
+  if (resolveEngine(graphs) === 'osrm' && origins.length + destinations.length > MAX_OSRM_POINTS) {
+    throw new RoutingError(`The OSRM engine takes at most ${MAX_OSRM_POINTS} origins and destinations combined`, 400);
+  }
+
+  const result = await computeMatrix(
+    graphs,
+    origins.map((o) => o.coordinates),
+    destinations.map((d) => d.coordinates),
+    { profile }
+  );
+
+  // How far each point is from the road it was routed from; two points that meet the road at the
+  // same spot are 0 apart however far apart they were given
+  const describe = (list, snaps) => list.map((location, index) => ({ index, ...location, snap_distance: round(snaps[index]) }));
+  return {
+    origins: describe(origins, result.sourceSnaps),
+    destinations: describe(destinations, result.destinationSnaps),
+    distances: result.distances.map((row) => row.map(round)),
+    durations: result.durations.map((row) => row.map(round)),
+    units: { distance: 'meters', duration: 'seconds' },
+    engine: result.engine,
+    profile: result.profile,
+  };
+}
+
+// One row per origin-destination pair, which spreadsheets and GIS joins handle better than a grid
+function matrixToCsv(matrix) {
+  const rows = [];
+  matrix.origins.forEach((origin, i) => {
+    matrix.destinations.forEach((destination, j) => {
+      rows.push({
+        origin_index: i,
+        origin_id: origin.poi_id,
+        origin_name: origin.name,
+        origin_lat: origin.coordinates[1],
+        origin_lng: origin.coordinates[0],
+        destination_index: j,
+        destination_id: destination.poi_id,
+        destination_name: destination.name,
+        destination_lat: destination.coordinates[1],
+        destination_lng: destination.coordinates[0],
+        distance_m: matrix.distances[i][j],
+        duration_s: matrix.durations[i][j],
+      });
+    });
+  });
+  return toCsv(rows, CSV_COLUMNS);
+}
+
+module.exports = {
+  MAX_MATRIX_CELLS,
+  MAX_MATRIX_SIDE,
+  buildMatrix,
+  matrixToCsv,
+  parseLocation,
+  parseLocations,
+};
@@ -0,0 +1,85 @@
+// OSM tags that hold a name of the place itself (not e.g. name:etymology or brand:wikipedia)
+const NAME_TAG = /^(name|brand|alt_name|old_name|official_name|short_name)(?::([a-z]{2,3}))?$/;
+
+const ARABIC_SCRIPT = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/;
+
+// Urdu letters to the Roman-Urdu spelling people type. Short vowels aren't written in Urdu, so
+// "عسکری" comes out as "askri", close enough to "askari" for the fuzzy matcher
+const URDU_TO_ROMAN = {
+  'ا': 'a', 'آ': 'aa', 'أ': 'a', 'إ': 'i', 'ب': 'b', 'پ': 'p', 'ت': 't', 'ٹ': 't', 'ث': 's',
+  'ج': 'j', 'چ': 'ch', 'ح': 'h', 'خ': 'kh', 'د': 'd', 'ڈ': 'd', 'ذ': 'z', 'ر': 'r', 'ڑ': 'r',
+  'ز': 'z', 'ژ': 'zh', 'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'z', 'ط': 't', 'ظ': 'z', 'ع': 'a',
+  'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ک': 'k', 'ك': 'k', 'گ': 'g', 'ل': 'l', 'م': 'm', 'ن': 'n',
+  'ں': 'n', 'و': 'o', 'ؤ': 'o', 'ہ': 'h', 'ۃ': 'h', 'ة': 'h', 'ھ': 'h', 'ه': 'h', 'ء': '',
+  'ی': 'i', 'ي': 'i', 'ى': 'a', 'ئ': 'i', 'ے': 'e', 'ۓ': 'e',
+  '۰': '0', '۱': '1', '۲': '2', '۳': '3', '۴': '4', '۵': '5', '۶': '6', '۷': '7', '۸': '8', '۹': '9',
+  '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4', '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9',
+};
+
+const hasArabicScript = (text) => ARABIC_SCRIPT.test(text || '');
+
+// Letter-by-letter; diacritics (zer, zabar, pesh...) and tatweel are dropped, anything unmapped passes through
+function transliterate(text) {
+  return Array.from((text || '').normalize('NFC'))
+    .map((ch) => {
+      if (ch in URDU_TO_ROMAN) return URDU_TO_ROMAN[ch];
+      if (/[ً-ٰٟـ]/.test(ch)) return '';
+      return ch;
+    })
+    .join('');
+}
+
+// Every name the place goes by, as { key, lang, value }; lang is null for the untagged name
+function nameVariants(feature) {
+  const props = feature.properties || {};
+  const variants = [];
+  const seen = new Set();
+  const add = (key, lang, value) => {
+    if (!value || seen.has(`${lang}|${value}`)) return;
+    seen.add(`${lang}|${value}`);
+    variants.push({ key, lang, value: String(value) });
+  };
+
+  add('name', null, props.name);
+  add('name', null, props.name_clean);
+  add('name', null, props.clean_name);
+  Object.entries(props.tags || {}).forEach(([key, value]) => {
+    const match = key.match(NAME_TAG);
+    if (match) add(key, match[2] || null, value);
+  });
+
+  return variants;
+}
+
+// Names for the search index: all variants, plus a Roman-Urdu reading of the Arabic-script ones
+function searchableNames(feature) {
+  const names = nameVariants(feature).map((v) => v.value);
+  return [...names, ...names.filter(hasArabicScript).map(transliterate)];
+}
+
+// The name to show for `lang`: its name:/brand: variant, else for Latin-script languages
+// a Latin name or transliteration, else the plain name
+function displayName(feature, lang) {
+  const props = feature.properties || {};
+  const fallback = props.name || props.name_clean || props.clean_name || 'Unnamed';
+  if (!lang) return fallback;
+
+  const tags = props.tags || {};
+  const tagged = tags[`name:${lang}`] || tags[`brand:${lang}`];
+  if (tagged) return tagged;
+
+  if (lang === 'en' || lang === 'roman') {
+    const latin = nameVariants(feature).find((v) => !hasArabicScript(v.value));
+    if (latin) return latin.value;
+    return transliterate(fallback);
+  }
+  return fallback;
+}
+
+module.exports = {
+  displayName,
+  hasArabicScript,
+  nameVariants,
+  searchableNames,
+  transliterate,
+};
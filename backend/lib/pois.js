@@ -0,0 +1,196 @@
+const { RequestError } = require('./errors');
+const { matchesPoi } = require('./serviceAreas');
+const { displayName } = require('./names');
+const { parseLang } = require('./geocoding');
+
+const MAX_LIMIT = 2000;
+const CLUSTER_RADIUS_PX = 60;
+// From this zoom on, clusters are broken up into individual POIs
+const MAX_CLUSTER_ZOOM = 17;
+const TILE_SIZE = 256;
+
+const lower = (value) => (value || '').toString().trim().toLowerCase();
+
+const parseList = (value) =>
+  String(value || '')
+    .split(',')
+    .map(lower)
+    .filter(Boolean);
+
+const parseBBox = (value) => {
+  const bbox = String(value).split(',').map((v) => parseFloat(v.trim()));
+  if (bbox.length !== 4 || bbox.some((v) => isNaN(v)) || bbox[0] > bbox[2] || bbox[1] > bbox[3]) return null;
+  return bbox;
+};
+
+// Zoomed out, thousands of markers are noise; zoomed in, the viewport holds few enough to send them all
+const defaultLimit = (zoom) => {
+  if (zoom === null || zoom >= 15) return MAX_LIMIT;
+  if (zoom >= 13) return 1000;
+  return 300;
+};
+
+function normalizeParams(query) {
+  const params = {
+    bbox: query.bbox ? parseBBox(query.bbox) : null,
+    zoom: query.zoom !== undefined ? parseInt(query.zoom, 10) : null,
+    categories: parseList(query.category),
+    amenities: parseList(query.amenity),
+    offset: query.offset !== undefined ? parseInt(query.offset, 10) : 0,
+    lang: parseLang(query.lang),
+  };
+
+  if (query.bbox && !params.bbox) {
+    throw new RequestError('Invalid bbox format. Use: minLng,minLat,maxLng,maxLat', 400);
+  }
+  if (params.zoom !== null && (isNaN(params.zoom) || params.zoom < 0 || params.zoom > 22)) {
+    throw new RequestError('zoom must be between 0 and 22', 400);
+  }
+  if (isNaN(params.offset) || params.offset < 0) {
+    throw new RequestError('offset must be a non-negative integer', 400);
+  }
+
+  params.limit = query.limit !== undefined ? parseInt(query.limit, 10) : defaultLimit(params.zoom);
+  if (isNaN(params.limit) || params.limit < 1 || params.limit > MAX_LIMIT) {
+    throw new RequestError(`limit must be between 1 and ${MAX_LIMIT}`, 400);
+  }
+
+  return params;
+}
+
+const matchesAny = (feature, { categories, amenities }) =>
+  (!categories.length || categories.some((category) => matchesPoi(feature, { category }))) &&
+  (!amenities.length || amenities.some((amenity) => matchesPoi(feature, { amenity })));
+
+// Only what a marker needs; the full tag set stays on the server
+const toMarkerFeature = (f, lang = null) => ({
+  type: 'Feature',
+  geometry: f.geometry,
+  properties: {
+    id: f.properties?.id ?? null,
+    name: lang ? displayName(f, lang) : f.properties?.clean_name || f.properties?.name || f.properties?.amenity || 'POI',
+    category: f.properties?.category || f.properties?.category_group || 'Unknown',
+    amenity: f.properties?.amenity || null,
+  },
+});
+
+const byId = (a, b) => (a.properties?.id ?? 0) - (b.properties?.id ?? 0);
+
+function queryPois(index, query) {
+  const params = normalizeParams(query);
+  const bounds = params.bbox || [-180, -90, 180, 90];
+  const filter = params.categories.length || params.amenities.length ? (f) => matchesAny(f, params) : null;
+
+  // Sorted so that pages stay stable between requests for the same viewport
+  const matches = index.search(bounds, filter).sort(byId);
+  const page = matches.slice(params.offset, params.offset + params.limit);
+  const nextOffset = params.offset + page.length;
+
+  return {
+    type: 'FeatureCollection',
+    features: page.map((f) => toMarkerFeature(f, params.lang)),
+    properties: {
+      total: matches.length,
+      offset: params.offset,
+      limit: params.limit,
+      next_offset: nextOffset < matches.length ? nextOffset : null,
+    },
+  };
+}
+
+// Web Mercator pixel position at the given zoom, the same space Leaflet draws markers in
+const toPixel = ([lng, lat], zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return [
+    ((lng + 180) / 360) * scale,
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  ];
+};
+
+const toSinglePoint = (f, lang) => {
+  const feature = toMarkerFeature(f, lang);
+  return { ...feature, properties: { ...feature.properties, cluster: false } };
+};
+
+function toClusterFeature(members) {
+  const categories = {};
+  let [minLng, minLat, maxLng, maxLat] = [Infinity, Infinity, -Infinity, -Infinity];
+  let sumLng = 0;
+  let sumLat = 0;
+
+  members.forEach((f) => {
+    const [lng, lat] = f.geometry.coordinates;
+    const category = f.properties?.category || f.properties?.category_group || 'Unknown';
+    categories[category] = (categories[category] || 0) + 1;
+    sumLng += lng;
+    sumLat += lat;
+    minLng = Math.min(minLng, lng);
+    minLat = Math.min(minLat, lat);
+    maxLng = Math.max(maxLng, lng);
+    maxLat = Math.max(maxLat, lat);
+  });
+
+  // "Unknown" only wins when nothing else is in the cluster
+  const ranked = Object.entries(categories).sort((a, b) => b[1] - a[1]);
+  const dominant = ranked.find(([name]) => name !== 'Unknown') || ranked[0];
+
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [sumLng / members.length, sumLat / members.length] },
+    properties: {
+      cluster: true,
+      point_count: members.length,
+      categories,
+      dominant_category: dominant[0],
+      bbox: [minLng, minLat, maxLng, maxLat],
+    },
+  };
+}
+
+// Grid clustering in screen space: POIs sharing a CLUSTER_RADIUS_PX cell at this zoom become one cluster
+function clusterPois(index, query) {
+  const params = normalizeParams({ ...query, limit: MAX_LIMIT });
+  if (params.zoom === null) {
+    throw new RequestError('zoom is required', 400);
+  }
+
+  const bounds = params.bbox || [-180, -90, 180, 90];
+  const filter = params.categories.length || params.amenities.length ? (f) => matchesAny(f, params) : null;
+  const matches = index.search(bounds, filter);
+
+  let features;
+  if (params.zoom >= MAX_CLUSTER_ZOOM) {
+    features = matches.map((f) => toSinglePoint(f, params.lang));
+  } else {
+    const cells = new Map();
+    matches.forEach((f) => {
+      const [x, y] = toPixel(f.geometry.coordinates, params.zoom);
+      const key = `${Math.floor(x / CLUSTER_RADIUS_PX)}:${Math.floor(y / CLUSTER_RADIUS_PX)}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(f);
+    });
+
+    features = [...cells.values()].map((members) =>
+      members.length === 1
+        ? toSinglePoint(members[0], params.lang)
+        : toClusterFeature(members)
+    );
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      zoom: params.zoom,
+      total: matches.length,
+      clusters: features.filter((f) => f.properties.cluster).length,
+    },
+  };
+}
+
+module.exports = {
+  clusterPois,
+  parseBBox,
+  queryPois,
+};
@@ -0,0 +1,130 @@
+// Speeds are km/h per OSM highway class; a class missing from `speeds` is closed to that profile
+const PROFILES = {
+  driving: {
+    speeds: {
+      motorway: 100,
+      motorway_link: 60,
+      trunk: 80,
+      trunk_link: 50,
+      primary: 60,
+      primary_link: 40,
+      secondary: 50,
+      secondary_link: 35,
+      tertiary: 40,
+      tertiary_link: 30,
+      unclassified: 30,
+      residential: 25,
+      living_street: 10,
+      service: 15,
+      road: 25,
+    },
+    accessTags: ['motorcar', 'motor_vehicle', 'vehicle', 'access'],
+    onewayTag: 'oneway',
+    useMaxspeed: true,
+  },
+  cycling: {
+    speeds: {
+      trunk: 18,
+      trunk_link: 18,
+      primary: 18,
+      primary_link: 18,
+      secondary: 18,
+      secondary_link: 18,
+      tertiary: 16,
+      tertiary_link: 16,
+      unclassified: 16,
+      residential: 15,
+      living_street: 12,
+      service: 12,
+      road: 15,
+      cycleway: 20,
+      track: 10,
+      path: 10,
+    },
+    accessTags: ['bicycle', 'vehicle', 'access'],
+    onewayTag: 'oneway:bicycle',
+    useMaxspeed: false,
+  },
+  walking: {
+    speeds: {
+      trunk: 5,
+      trunk_link: 5,
+      primary: 5,
+      primary_link: 5,
+      secondary: 5,
+      secondary_link: 5,
+      tertiary: 5,
+      tertiary_link: 5,
+      unclassified: 5,
+      residential: 5,
+      living_street: 5,
+      service: 5,
+      road: 5,
+      pedestrian: 5,
+      footway: 5,
+      path: 4.5,
+      track: 4.5,
+      cycleway: 5,
+      steps: 2,
+    },
+    accessTags: ['foot', 'access'],
+    onewayTag: null,
+    useMaxspeed: false,
+  },
+};
+
+const DEFAULT_PROFILE = 'driving';
+
+const DENIED_ACCESS = new Set(['no', 'private', 'agricultural', 'forestry', 'delivery']);
+
+const tagsOf = (props) => ({ ...(props.tags || {}), ...props });
+
+// The most specific access tag that is set wins, e.g. foot=yes overrides access=no
+const isAccessible = (profile, props) => {
+  const tags = tagsOf(props);
+  if (!(tags.highway in profile.speeds)) return false;
+  for (const key of profile.accessTags) {
+    if (tags[key]) return !DENIED_ACCESS.has(tags[key]);
+  }
+  return true;
+};
+
+// 1 = forward only, -1 = backward only, 0 = both ways
+const onewayDirection = (profile, props) => {
+  if (!profile.onewayTag) return 0;
+  const tags = tagsOf(props);
+  // Read from the raw OSM tags when there are any: older road files carry a top-level oneway "no"
+  // on every untagged way, which would make implied one-ways (motorways, roundabouts) two-way
+  const raw = props.tags || props;
+  const value = raw[profile.onewayTag] || raw.oneway;
+  if (value === 'no') return 0;
+  if (value === '-1') return -1;
+  if (value === 'yes' || value === '1' || value === true) return 1;
+  if (tags.highway === 'motorway' || tags.junction === 'roundabout') return 1;
+  return 0;
+};
+
+const parseMaxSpeed = (value) => {
+  if (!value) return null;
+  const speed = parseFloat(value);
+  if (isNaN(speed) || speed <= 0) return null;
+  return /mph/i.test(value) ? speed * 1.609 : speed;
+};
+
+const edgeSpeed = (profile, props) => {
+  const classSpeed = profile.speeds[props.highway];
+  const maxspeed = profile.useMaxspeed ? parseMaxSpeed(props.maxspeed) : null;
+  return maxspeed ? Math.min(maxspeed, classSpeed * 1.2) : classSpeed;
+};
+
+const maxProfileSpeed = (profile) =>
+  Math.max(...Object.values(profile.speeds)) * (profile.useMaxspeed ? 1.2 : 1);
+
+module.exports = {
+  DEFAULT_PROFILE,
+  PROFILES,
+  edgeSpeed,
+  isAccessible,
+  maxProfileSpeed,
+  onewayDirection,
+};
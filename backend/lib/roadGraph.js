@@ -0,0 +1,392 @@
+const fs = require('fs');
+const turf = require('@turf/turf');
+const { PROFILES, edgeSpeed, isAccessible, maxProfileSpeed, onewayDirection } = require('./profiles');
+const MinHeap = require('./minHeap');
+const { SpatialIndex, haversine, projectOnSegment } = require('./spatialIndex');
+
+const nodeKey = ([lng, lat]) => `${lng.toFixed(7)},${lat.toFixed(7)}`;
+
+const lineParts = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'LineString') return [geometry.coordinates];
+  if (geometry.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+};
+
+function buildRoadGraph(features, profileName = 'driving') {
+  const profile = PROFILES[profileName];
+  const nodes = [];
+  const nodeIds = new Map();
+  const adjacency = [];
+  let edgeCount = 0;
+
+  const getNode = (coord) => {
+    const key = nodeKey(coord);
+    let id = nodeIds.get(key);
+    if (id === undefined) {
+      id = nodes.length;
+      nodeIds.set(key, id);
+      nodes.push([coord[0], coord[1]]);
+      adjacency.push([]);
+    }
+    return id;
+  };
+
+  features.forEach((feature, featureIndex) => {
+    const props = feature.properties || {};
+    if (!props.highway || !isAccessible(profile, props)) return;
+
+    const direction = onewayDirection(profile, props);
+    const speedMs = edgeSpeed(profile, props) / 3.6;
+    const name = props.name || props.ref || '';
+
+    lineParts(feature.geometry).forEach((coords) => {
+      for (let i = 0; i < coords.length - 1; i++) {
+        const from = getNode(coords[i]);
+        const to = getNode(coords[i + 1]);
+        if (from === to) continue;
+
+        const distance = turf.distance(nodes[from], nodes[to], { units: 'meters' });
+        const edge = { distance, duration: distance / speedMs, name, highway: props.highway, featureIndex };
+
+        if (direction >= 0) adjacency[from].push({ to, ...edge });
+        if (direction <= 0) adjacency[to].push({ to: from, ...edge });
+        edgeCount++;
+      }
+    });
+  });
+
+  const routable = nodes.map((_, id) => id).filter((id) => adjacency[id].length);
+  const nodeIndex = SpatialIndex.forPoints(routable, (id) => nodes[id]);
+
+  return { profile: profileName, maxSpeed: maxProfileSpeed(profile), nodes, adjacency, nodeIndex, edgeCount, features };
+}
+
+// Every road segment regardless of profile, for "which road is this on" lookups
+function buildRoadIndex(features) {
+  const segments = [];
+  features.forEach((feature, featureIndex) => {
+    const props = feature.properties || {};
+    if (!props.highway) return;
+    lineParts(feature.geometry).forEach((coords) => {
+      for (let i = 0; i < coords.length - 1; i++) {
+        segments.push({
+          coordinates: [coords[i], coords[i + 1]],
+          name: props.name || props.ref || '',
+          highway: props.highway,
+          featureIndex,
+        });
+      }
+    });
+  });
+  return SpatialIndex.forSegments(segments);
+}
+
+// One graph per travel profile, since access rules and one-way handling differ between them
+function loadRoadGraphs(filePath) {
+  const geo = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const graphs = {};
+  Object.keys(PROFILES).forEach((profileName) => {
+    graphs[profileName] = buildRoadGraph(geo.features || [], profileName);
+  });
+  return graphs;
+}
+
+// Searches skip closed edges; `graph.closures` is set by applyClosures in ./closures
+const closedEdges = (graph) => (graph.closures ? graph.closures.closed() : null);
+
+// Nodes shut in by closures are skipped, so a point inside a closed area snaps to the nearest open road
+function nearestNode(graph, coord) {
+  const closed = closedEdges(graph);
+  const filter = closed ? (id) => graph.adjacency[id].some((edge) => !closed.has(edge)) : null;
+  const [nearest] = graph.nodeIndex.nearest(coord, { filter });
+  return nearest ? { id: nearest.item, distance: nearest.distance } : null;
+}
+
+// Every directed edge of the graph as a segment, built the first time something needs it
+const edgeIndexes = new WeakMap();
+function edgeIndex(graph) {
+  if (!edgeIndexes.has(graph)) {
+    const items = [];
+    graph.adjacency.forEach((edges, from) => edges.forEach((edge) => items.push({ from, edge })));
+    edgeIndexes.set(graph, SpatialIndex.forSegments(items, ({ from, edge }) => [graph.nodes[from], graph.nodes[edge.to]]));
+  }
+  return edgeIndexes.get(graph);
+}
+
+// How many distinct nodes each node is joined to, over edges in either direction. A node on a
+// one-way road has one outgoing edge but is still a junction when three roads meet there
+const nodeDegrees = new WeakMap();
+function nodeDegree(graph) {
+  if (!nodeDegrees.has(graph)) {
+    const pairs = new Set();
+    graph.adjacency.forEach((edges, from) => edges.forEach(({ to }) => pairs.add(from < to ? `${from},${to}` : `${to},${from}`)));
+    const degree = new Uint32Array(graph.nodes.length);
+    pairs.forEach((pair) => {
+      const [a, b] = pair.split(',');
+      degree[a]++;
+      degree[b]++;
+    });
+    nodeDegrees.set(graph, degree);
+  }
+  return nodeDegrees.get(graph);
+}
+
+// The `k` closest open road segments to a point, nearest first, each as a snap: the edge the
+// projected point lies on, the reverse edge when the road is two-way, and `t`, how far along the
+// edge the point is (0 at `from`, 1 at `to`)
+function snapCandidates(graph, coord, { k = 1, maxDistance = Infinity } = {}) {
+  const closed = closedEdges(graph);
+  const filter = closed ? ({ edge }) => !closed.has(edge) : null;
+  // Two-way roads are in the index once per direction
+  const seen = new Set();
+  const snaps = [];
+  edgeIndex(graph).nearest(coord, { k: k * 2, maxDistance, filter }).forEach(({ item, distance }) => {
+    const { from, edge } = item;
+    const key = from < edge.to ? `${from}-${edge.to}` : `${edge.to}-${from}`;
+    if (seen.has(key) || snaps.length >= k) return;
+    seen.add(key);
+
+    const { point, t } = projectOnSegment(coord, graph.nodes[from], graph.nodes[edge.to]);
+    const reverse = graph.adjacency[edge.to].find((e) => e.to === from && !(closed && closed.has(e))) || null;
+    snaps.push({ from, to: edge.to, edge, reverse, t, point, distance });
+  });
+  return snaps;
+}
+
+// Closest point on an open road, or null when there is none within `maxDistance` meters
+function snapToRoad(graph, coord, { maxDistance = Infinity } = {}) {
+  return snapCandidates(graph, coord, { maxDistance })[0] || null;
+}
+
+// A* on travel time; straight-line distance at the profile's fastest speed keeps the heuristic admissible.
+// `source` and `target` are node ids, or lists of { id, cost } when the route may start or end at
+// several nodes at a price (e.g. either end of the road a point snapped to). `edgeCost` can make
+// edges dearer (never cheaper) than their travel time, e.g. to steer around a route already found.
+// Paths costing more than `maxCost` are not followed
+function shortestPath(graph, source, target, { edgeCost = null, maxCost = Infinity } = {}) {
+  const { nodes, adjacency } = graph;
+  const maxSpeedMs = graph.maxSpeed / 3.6;
+  const sources = Array.isArray(source) ? source : [{ id: source, cost: 0 }];
+  const targets = new Map((Array.isArray(target) ? target : [{ id: target, cost: 0 }]).map((t) => [t.id, t.cost]));
+  const heuristic = (id) => Math.min(...[...targets.keys()].map((t) => haversine(nodes[id], nodes[t]))) / maxSpeedMs;
+  const closed = closedEdges(graph);
+
+  const cost = new Map();
+  const previous = new Map();
+  const visited = new Set();
+  const heap = new MinHeap();
+  sources.forEach(({ id, cost: start }) => {
+    if (cost.has(id) && cost.get(id) <= start) return;
+    cost.set(id, start);
+    heap.push(id, start + heuristic(id));
+  });
+
+  // Reaching a target isn't the end when another target, or the same one by another way, could
+  // still come out cheaper once its end cost is added
+  let best = null;
+  while (heap.size) {
+    const { node, priority } = heap.pop();
+    if (best && priority >= best.total) break;
+    if (visited.has(node)) continue;
+    visited.add(node);
+
+    if (targets.has(node)) {
+      const total = cost.get(node) + targets.get(node);
+      if (!best || total < best.total) best = { node, total };
+    }
+
+    for (const edge of adjacency[node]) {
+      if (closed && closed.has(edge)) continue;
+      const nextCost = cost.get(node) + (edgeCost ? edgeCost(edge, node) : edge.duration);
+      if (nextCost > maxCost) continue;
+      if (nextCost < (cost.has(edge.to) ? cost.get(edge.to) : Infinity)) {
+        cost.set(edge.to, nextCost);
+        previous.set(edge.to, { node, edge });
+        heap.push(edge.to, nextCost + heuristic(edge.to));
+      }
+    }
+  }
+
+  if (!best) return null;
+
+  const path = [best.node];
+  const edges = [];
+  let current = best.node;
+  while (previous.has(current)) {
+    const step = previous.get(current);
+    edges.unshift(step.edge);
+    path.unshift(step.node);
+    current = step.node;
+  }
+
+  return {
+    nodes: path,
+    edges,
+    distance: edges.reduce((sum, e) => sum + e.distance, 0),
+    duration: edges.reduce((sum, e) => sum + e.duration, 0),
+  };
+}
+
+// A point this close to the end of its road segment starts or ends a path at that node
+const MIN_PARTIAL_M = 1;
+
+const partialEdge = (edge, share) => ({ ...edge, distance: edge.distance * share, duration: edge.duration * share });
+
+// Ways off a snapped point: along its edge to the far end, or back to the near end when the road
+// is two-way, each at the price of the part of the edge covered
+const departures = (snap, price) => [
+  { id: snap.to, cost: (1 - snap.t) * price(snap.edge, snap.from), edge: snap.edge, share: 1 - snap.t },
+  ...(snap.reverse ? [{ id: snap.from, cost: snap.t * price(snap.reverse, snap.to), edge: snap.reverse, share: snap.t }] : []),
+];
+
+// departures as sources for shortestPathTree
+const departureSeeds = (snap, price = (edge) => edge.duration) =>
+  departures(snap, price).map((d) => ({ id: d.id, cost: d.cost, distance: d.edge.distance * d.share }));
+
+const arrivals = (snap, price) => [
+  { id: snap.from, cost: snap.t * price(snap.edge, snap.from), edge: snap.edge, share: snap.t },
+  ...(snap.reverse ? [{ id: snap.to, cost: (1 - snap.t) * price(snap.reverse, snap.to), edge: snap.reverse, share: 1 - snap.t }] : []),
+];
+
+// Both points on the same segment, in a direction it can be travelled: no search needed
+function directPath(a, b) {
+  let t;
+  if (a.from === b.from && a.to === b.to) t = b.t;
+  else if (a.from === b.to && a.to === b.from) t = 1 - b.t;
+  else return null;
+
+  const edge = t >= a.t ? a.edge : a.reverse;
+  if (!edge) return null;
+  return { nodes: [null, null], coords: [a.point, b.point], edges: [partialEdge(edge, Math.abs(t - a.t))] };
+}
+
+// Path between two snapped points (see snapToRoad), with the stretches of road from each point to
+// the nearest node included. The ends are `null` in `nodes`, as they aren't graph nodes; `coords`
+// has every point. `edgeCost` and `maxCost` are as for shortestPath
+function pathBetween(graph, a, b, { edgeCost = null, maxCost = Infinity } = {}) {
+  const direct = directPath(a, b);
+  if (direct) return { ...direct, distance: direct.edges[0].distance, duration: direct.edges[0].duration };
+
+  const price = edgeCost || ((edge) => edge.duration);
+  const starts = departures(a, price);
+  const ends = arrivals(b, price);
+  const path = shortestPath(graph, starts, ends, { edgeCost, maxCost });
+  if (!path) return null;
+
+  const start = starts.find((s) => s.id === path.nodes[0]);
+  const end = ends.find((e) => e.id === path.nodes[path.nodes.length - 1]);
+  const nodes = [...path.nodes];
+  const coords = path.nodes.map((id) => graph.nodes[id]);
+  const edges = [...path.edges];
+
+  const head = partialEdge(start.edge, start.share);
+  if (head.distance >= MIN_PARTIAL_M) {
+    nodes.unshift(null);
+    coords.unshift(a.point);
+    edges.unshift(head);
+  }
+  const tail = partialEdge(end.edge, end.share);
+  if (tail.distance >= MIN_PARTIAL_M) {
+    nodes.push(null);
+    coords.push(b.point);
+    edges.push(tail);
+  }
+
+  return {
+    nodes,
+    coords,
+    edges,
+    distance: edges.reduce((sum, e) => sum + e.distance, 0),
+    duration: edges.reduce((sum, e) => sum + e.duration, 0),
+  };
+}
+
+// Dijkstra from one node (or several at once, optionally as { id, cost, distance } already part way
+// along); stops early once every target is settled or the cost budget is spent
+function shortestPathTree(graph, source, { targets = null, maxCost = Infinity } = {}) {
+  const { adjacency } = graph;
+  const sources = Array.isArray(source) ? source : [source];
+  const cost = new Map();
+  const distance = new Map();
+  const origin = new Map();
+  const settled = new Set();
+  const remaining = targets ? new Set(targets) : null;
+  const closed = closedEdges(graph);
+  const heap = new MinHeap();
+
+  sources.forEach((source, index) => {
+    const { id, cost: start = 0, distance: startDistance = 0 } = typeof source === 'object' ? source : { id: source };
+    if (cost.has(id) && cost.get(id) <= start) return;
+    cost.set(id, start);
+    distance.set(id, startDistance);
+    origin.set(id, index);
+    heap.push(id, start);
+  });
+
+  while (heap.size) {
+    const { node } = heap.pop();
+    if (settled.has(node)) continue;
+    settled.add(node);
+
+    if (remaining) {
+      remaining.delete(node);
+      if (!remaining.size) break;
+    }
+
+    for (const edge of adjacency[node]) {
+      if (closed && closed.has(edge)) continue;
+      const nextCost = cost.get(node) + edge.duration;
+      if (nextCost > maxCost) continue;
+      if (nextCost < (cost.has(edge.to) ? cost.get(edge.to) : Infinity)) {
+        cost.set(edge.to, nextCost);
+        distance.set(edge.to, distance.get(node) + edge.distance);
+        origin.set(edge.to, origin.get(node));
+        heap.push(edge.to, nextCost);
+      }
+    }
+  }
+
+  return { cost, distance, origin, settled };
+}
+
+// Travel time and distance from snapped point `a` to each snapped point in `destinations` (null
+// entries stay null), from one search: the costs pathBetween would find, without building the paths
+function costsBetween(graph, a, destinations) {
+  const price = (edge) => edge.duration;
+  const seeds = departureSeeds(a, price);
+  const ends = destinations.map((b) => (b ? arrivals(b, price) : []));
+  const tree = shortestPathTree(graph, seeds, { targets: ends.flat().map((e) => e.id) });
+
+  return destinations.map((b, i) => {
+    if (!b) return null;
+    const direct = directPath(a, b);
+    if (direct) return { duration: direct.edges[0].duration, distance: direct.edges[0].distance };
+
+    let best = null;
+    ends[i].forEach((end) => {
+      if (!tree.cost.has(end.id)) return;
+      const duration = tree.cost.get(end.id) + end.cost;
+      if (!best || duration < best.duration) {
+        best = { duration, distance: tree.distance.get(end.id) + end.edge.distance * end.share };
+      }
+    });
+    return best;
+  });
+}
+
+module.exports = {
+  buildRoadGraph,
+  buildRoadIndex,
+  costsBetween,
+  departureSeeds,
+  edgeIndex,
+  loadRoadGraphs,
+  nearestNode,
+  nodeDegree,
+  pathBetween,
+  shortestPath,
+  shortestPathTree,
+  snapCandidates,
+  snapToRoad,
+};
@@ -0,0 +1,374 @@
+const axios = require('axios');
+const { costsBetween, pathBetween, snapToRoad } = require('./roadGraph');
+const { DEFAULT_PROFILE, PROFILES } = require('./profiles');
+const { buildSteps, fromOsrmSteps } = require('./instructions');
+const { RequestError } = require('./errors');
+const { haversine } = require('./spatialIndex');
+
+const OSRM_BASE_URL = process.env.OSRM_BASE_URL || 'https://router.project-osrm.org';
+
+// e.g. OSRM_BASE_URL_WALKING points walking requests at a server built with the foot profile
+const osrmBaseUrl = (profile) => process.env[`OSRM_BASE_URL_${profile.toUpperCase()}`] || OSRM_BASE_URL;
+
+class RoutingError extends RequestError {
+  constructor(message, status = 500) {
+    super(message, status);
+    this.name = 'RoutingError';
+  }
+}
+
+// ROUTING_ENGINE=local|osrm; unset means local when a road graph is loaded, OSRM otherwise
+const resolveEngine = (graphs) => {
+  const configured = (process.env.ROUTING_ENGINE || '').toLowerCase();
+  if (configured === 'local' || configured === 'osrm') return configured;
+  return graphs ? 'local' : 'osrm';
+};
+
+// With ROUTING_ENGINE unset and no roads.geojson, routing moves to OSRM on its own. Responses carry
+// this so the switch shows up where the routes are used, not only in the startup log
+const engineWarning = (graphs) => {
+  if (graphs || (process.env.ROUTING_ENGINE || '').toLowerCase() === 'osrm') return null;
+  return 'No local road network (data/roads.geojson), so routing falls back to OSRM and ignores road closures. ' +
+    'Run `npm run fetch-roads` in backend/ to route locally';
+};
+
+// A repeated profile parameter arrives as an array; the first value is used
+const resolveProfile = (profile) => {
+  const name = String((Array.isArray(profile) ? profile[0] : profile) || DEFAULT_PROFILE).toLowerCase();
+  if (!PROFILES[name]) {
+    throw new RoutingError(`Unknown profile "${profile}". Use one of: ${Object.keys(PROFILES).join(', ')}`, 400);
+  }
+  return name;
+};
+
+const requireGraph = (graphs, profile) => {
+  if (!graphs) {
+    throw new RoutingError('Local routing engine has no road network loaded. Run `npm run fetch-roads` in backend/ and restart', 503);
+  }
+  return graphs[profile];
+};
+
+// A point further than this from any open road is refused rather than moved onto one; the route
+// from wherever it landed would say little about the point itself
+const MAX_SNAP_M = 1000;
+
+const snapStop = (graph, point, label) => {
+  const snap = snapToRoad(graph, point, { maxDistance: MAX_SNAP_M });
+  if (!snap) {
+    throw new RoutingError(`${label} (${point[1]},${point[0]}) is more than ${MAX_SNAP_M} m from any road`, 422);
+  }
+  return snap;
+};
+
+const MAX_ALTERNATIVES = 3;
+// Alternatives slower than this multiple of the fastest route, or sharing more than MAX_OVERLAP of
+// their length with a route already picked, aren't worth showing
+const MAX_STRETCH = 1.5;
+const MAX_OVERLAP = 0.7;
+// Each time a road is used by a found route it gets this much dearer for the next search
+const PENALTY_FACTOR = 1.4;
+
+const osrmCoords = (points) => points.map(([lng, lat]) => `${lng},${lat}`).join(';');
+
+const fromOsrmRoute = (route) => ({
+  distance: route.distance,
+  duration: route.duration,
+  geometry: route.geometry,
+  legs: (route.legs || []).map((leg, i, legs) => ({
+    distance: leg.distance,
+    duration: leg.duration,
+    steps: fromOsrmSteps(leg.steps, { isLastLeg: i === legs.length - 1 }),
+  })),
+});
+
+// OSRM only offers alternatives between two points
+async function routeWithOsrm(points, profile, { alternatives = 0 } = {}) {
+  const alternativesParam = alternatives && points.length === 2 ? `&alternatives=${alternatives}` : '';
+  const osrmUrl = `${osrmBaseUrl(profile)}/route/v1/${profile}/${osrmCoords(points)}?overview=full&geometries=geojson&steps=true${alternativesParam}`;
+
+  console.log('Fetching route from OSRM:', osrmUrl);
+  const response = await axios.get(osrmUrl);
+
+  if (!response.data.routes || response.data.routes.length === 0) return null;
+  const far = (response.data.waypoints || []).findIndex((wp) => wp.distance > MAX_SNAP_M);
+  if (far >= 0) {
+    const [lng, lat] = points[far];
+    throw new RoutingError(`Stop ${far + 1} (${lat},${lng}) is more than ${MAX_SNAP_M} m from any road`, 422);
+  }
+
+  const [route, ...others] = response.data.routes.map(fromOsrmRoute);
+  return {
+    ...route,
+    alternatives: others,
+    waypoints: (response.data.waypoints || []).map((wp) => ({ location: wp.location, distance: wp.distance, name: wp.name || null })),
+  };
+}
+
+const pathGeometry = (path) => ({ type: 'LineString', coordinates: path.coords });
+
+const edgeKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+
+// Re-runs the search with the roads of each route found so far made dearer, so the next search
+// is pushed onto different roads. Returns every path found, duplicates and all.
+// pathBetween prices the part-segments from each stop to its nearest nodes with the same edgeCost.
+// Penalties are only recorded between two graph nodes, so those stretches keep their plain travel
+// time unless an earlier route ran the whole of a stop's segment
+function penaltyPaths(graph, source, target, first, tries) {
+  const penalty = new Map();
+  const paths = [];
+  let last = first;
+  for (let i = 0; i < tries; i++) {
+    last.nodes.slice(1).forEach((id, j) => {
+      if (id === null || last.nodes[j] === null) return;
+      const key = edgeKey(last.nodes[j], id);
+      penalty.set(key, (penalty.get(key) || 1) * PENALTY_FACTOR);
+    });
+    const next = pathBetween(graph, source, target, {
+      edgeCost: (edge, from) => edge.duration * (penalty.get(edgeKey(from, edge.to)) || 1),
+    });
+    if (!next) break;
+    paths.push(next);
+    last = next;
+  }
+  return paths;
+}
+
+function routeWithGraph(graphs, points, profile, { alternatives = 0 } = {}) {
+  const graph = requireGraph(graphs, profile);
+
+  const snapped = points.map((point, i) => snapStop(graph, point, `Stop ${i + 1}`));
+
+  // Alternatives are only searched for two-point routes, as with OSRM
+  const candidates = [];
+  if (alternatives && snapped.length === 2) {
+    const best = pathBetween(graph, snapped[0], snapped[1]);
+    if (!best) return null;
+    penaltyPaths(graph, snapped[0], snapped[1], best, alternatives * 3).forEach((path) => {
+      candidates.push({
+        distance: path.distance,
+        duration: path.duration,
+        geometry: pathGeometry(path),
+        legs: [{ distance: path.distance, duration: path.duration, steps: buildSteps(graph, path, { isLastLeg: true }) }],
+      });
+    });
+  }
+
+  const legs = [];
+  const coordinates = [];
+  for (let i = 0; i < snapped.length - 1; i++) {
+    const path = pathBetween(graph, snapped[i], snapped[i + 1]);
+    if (!path) return null;
+
+    legs.push({
+      distance: path.distance,
+      duration: path.duration,
+      steps: buildSteps(graph, path, { isLastLeg: i === snapped.length - 2 }),
+    });
+    path.coords.forEach((coord, j) => {
+      if (i > 0 && j === 0) return;
+      coordinates.push(coord);
+    });
+  }
+
+  return {
+    distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+    duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+    geometry: { type: 'LineString', coordinates },
+    legs,
+    alternatives: candidates,
+    waypoints: snapped.map((s) => ({ location: s.point, distance: s.distance, name: s.edge.name || null })),
+  };
+}
+
+// Length in meters of each distinct segment of a line, keyed so both directions match
+function segmentLengths(geometry) {
+  const segments = new Map();
+  const coords = geometry?.coordinates || [];
+  for (let i = 0; i < coords.length - 1; i++) {
+    const a = coords[i].map((v) => v.toFixed(6)).join(',');
+    const b = coords[i + 1].map((v) => v.toFixed(6)).join(',');
+    segments.set(a < b ? `${a}|${b}` : `${b}|${a}`, haversine(coords[i], coords[i + 1]));
+  }
+  return segments;
+}
+
+// Share of `route`'s length that also lies on `other`
+function overlapShare(route, other) {
+  const own = segmentLengths(route.geometry);
+  const theirs = segmentLengths(other.geometry);
+  let total = 0;
+  let shared = 0;
+  own.forEach((length, key) => {
+    total += length;
+    if (theirs.has(key)) shared += length;
+  });
+  return total ? shared / total : 1;
+}
+
+// Fastest first; a candidate is dropped when it's too slow or mostly retraces a route already kept
+function pickAlternatives(primary, candidates, count) {
+  const kept = [];
+  [...candidates]
+    .sort((a, b) => a.duration - b.duration)
+    .forEach((candidate) => {
+      if (kept.length >= count || candidate.duration > primary.duration * MAX_STRETCH) return;
+      if ([primary, ...kept].some((route) => overlapShare(candidate, route) > MAX_OVERLAP)) return;
+      kept.push(candidate);
+    });
+  return kept.map((route) => ({ ...route, overlap: parseFloat(overlapShare(route, primary).toFixed(3)) }));
+}
+
+async function matrixWithOsrm(sources, destinations, profile) {
+  const points = [...sources, ...destinations];
+  const sourceIdx = sources.map((_, i) => i).join(';');
+  const destIdx = destinations.map((_, i) => i + sources.length).join(';');
+  const osrmUrl = `${osrmBaseUrl(profile)}/table/v1/${profile}/${osrmCoords(points)}?sources=${sourceIdx}&destinations=${destIdx}&annotations=duration,distance`;
+
+  const response = await axios.get(osrmUrl);
+
+  return {
+    durations: response.data.durations,
+    distances: response.data.distances,
+    sourceSnaps: (response.data.sources || []).map((wp) => wp.distance),
+    destinationSnaps: (response.data.destinations || []).map((wp) => wp.distance),
+  };
+}
+
+// Points are snapped onto their road segments as for /route, so both give the same figures
+function matrixWithGraph(graphs, sources, destinations, profile) {
+  const graph = requireGraph(graphs, profile);
+
+  const sourceSnaps = sources.map((point, i) => snapStop(graph, point, `Origin ${i + 1}`));
+  const destSnaps = destinations.map((point, i) => snapStop(graph, point, `Destination ${i + 1}`));
+
+  const durations = [];
+  const distances = [];
+  sourceSnaps.forEach((source) => {
+    const costs = costsBetween(graph, source, destSnaps);
+    durations.push(costs.map((c) => (c ? c.duration : null)));
+    distances.push(costs.map((c) => (c ? c.distance : null)));
+  });
+
+  return {
+    durations,
+    distances,
+    sourceSnaps: sourceSnaps.map((snap) => snap.distance),
+    destinationSnaps: destSnaps.map((snap) => snap.distance),
+  };
+}
+
+async function computeMatrix(graphs, sources, destinations = sources, { profile } = {}) {
+  const engine = resolveEngine(graphs);
+  const profileName = resolveProfile(profile);
+  const result = engine === 'local'
+    ? matrixWithGraph(graphs, sources, destinations, profileName)
+    : await matrixWithOsrm(sources, destinations, profileName);
+  return { ...result, engine, profile: profileName };
+}
+
+// Nearest-neighbour tour refined with 2-opt; first and last stops stay fixed
+function optimizeStopOrder(durations) {
+  const n = durations.length;
+  const cost = (a, b) => (durations[a][b] === null ? Infinity : durations[a][b]);
+  const middle = Array.from({ length: n - 2 }, (_, i) => i + 1);
+
+  const tour = [0];
+  const unvisited = new Set(middle);
+  while (unvisited.size) {
+    const last = tour[tour.length - 1];
+    let best = null;
+    unvisited.forEach((stop) => {
+      if (best === null || cost(last, stop) < cost(last, best)) best = stop;
+    });
+    tour.push(best);
+    unvisited.delete(best);
+  }
+  tour.push(n - 1);
+
+  const tourCost = (t) => t.slice(1).reduce((sum, stop, i) => sum + cost(t[i], stop), 0);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < n - 2; i++) {
+      for (let j = i + 1; j < n - 1; j++) {
+        const candidate = [...tour.slice(0, i), ...tour.slice(i, j + 1).reverse(), ...tour.slice(j + 1)];
+        if (tourCost(candidate) < tourCost(tour)) {
+          tour.splice(0, n, ...candidate);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return tour;
+}
+
+// The nearest point on the road network to `point`, the road's name and how far away it is
+async function snapPoint(graphs, point, { profile } = {}) {
+  const engine = resolveEngine(graphs);
+  const profileName = resolveProfile(profile);
+
+  if (engine === 'local') {
+    const snap = snapToRoad(requireGraph(graphs, profileName), point, { maxDistance: MAX_SNAP_M });
+    return snap && {
+      location: snap.point,
+      distance: snap.distance,
+      name: snap.edge.name || null,
+      highway: snap.edge.highway,
+      engine,
+      profile: profileName,
+    };
+  }
+
+  const osrmUrl = `${osrmBaseUrl(profileName)}/nearest/v1/${profileName}/${osrmCoords([point])}`;
+  const response = await axios.get(osrmUrl);
+  const [waypoint] = response.data.waypoints || [];
+  return waypoint && waypoint.distance <= MAX_SNAP_M && {
+    location: waypoint.location,
+    distance: waypoint.distance,
+    name: waypoint.name || null,
+    highway: null,
+    engine,
+    profile: profileName,
+  };
+}
+
+async function computeRoute(graphs, points, { optimize = false, profile, alternatives = 0 } = {}) {
+  const engine = resolveEngine(graphs);
+  const profileName = resolveProfile(profile);
+
+  let order = points.map((_, i) => i);
+  if (optimize && points.length > 3) {
+    const { durations } = await computeMatrix(graphs, points, points, { profile: profileName });
+    order = optimizeStopOrder(durations);
+  }
+  const ordered = order.map((i) => points[i]);
+
+  if (!Number.isInteger(alternatives) || alternatives < 0 || alternatives > MAX_ALTERNATIVES) {
+    throw new RoutingError(`alternatives must be between 0 and ${MAX_ALTERNATIVES}`, 400);
+  }
+
+  const result = engine === 'local'
+    ? routeWithGraph(graphs, ordered, profileName, { alternatives })
+    : await routeWithOsrm(ordered, profileName, { alternatives });
+  if (!result) return null;
+
+  return {
+    ...result,
+    alternatives: pickAlternatives(result, result.alternatives, alternatives),
+    order,
+    engine,
+    profile: profileName,
+  };
+}
+
+module.exports = {
+  MAX_SNAP_M,
+  RoutingError,
+  computeMatrix,
+  computeRoute,
+  engineWarning,
+  resolveEngine,
+  resolveProfile,
+  snapPoint,
+};
@@ -0,0 +1,184 @@
+const { haversine } = require('./spatialIndex');
+const { searchableNames } = require('./names');
+
+const MAX_RESULTS = 50;
+// Proximity boost halves every NEAR_HALF_LIFE_KM from the `near` point
+const NEAR_HALF_LIFE_KM = 3;
+
+const normalize = (text) =>
+  (text || '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean);
+
+// Short words must match exactly, longer ones may have one or two typos
+const maxEdits = (length) => {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+};
+
+// Levenshtein distance, giving up (returning max + 1) once every path exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Latin consonants with repeats collapsed: Roman-Urdu spellings differ mostly in vowels ("masjid", "masjed", "msjd")
+const skeleton = (term) => term.replace(/[aeiouy]/g, '').replace(/(.)\1+/g, '$1');
+// A two-consonant skeleton is only specific enough for longer words
+const minSkeletonLength = (token) => (token.length >= 5 ? 2 : 3);
+const SKELETON_SCORE = 0.6;
+
+// How well one query token matches one indexed term, 0 when it doesn't
+function termScore(token, term) {
+  if (token === term) return 1;
+  if (token.length >= 2 && term.startsWith(token)) return 0.7 + 0.2 * (token.length / term.length);
+
+  const max = maxEdits(token.length);
+  if (!max) return 0;
+  const distance = editDistance(token, term, max);
+  return distance <= max ? 0.8 - 0.2 * distance : 0;
+}
+
+// Names plus each pair of neighbouring words run together, so "polyclinic" finds "Poly Clinic"
+function indexTerms(names) {
+  const terms = new Set();
+  names.forEach((name) => {
+    const tokens = tokenize(name);
+    tokens.forEach((token, i) => {
+      terms.add(token);
+      if (i > 0) terms.add(tokens[i - 1] + token);
+    });
+  });
+  return terms;
+}
+
+// Well-tagged, categorized POIs tend to be the notable ones; a small tie-breaker, never more than 0.15
+const popularity = (f) => {
+  const tagCount = Object.keys(f.properties?.tags || {}).length;
+  const categorized = f.properties?.category && f.properties.category !== 'Unknown' ? 0.05 : 0;
+  return categorized + Math.min(0.1, Math.log10(1 + tagCount) / 15);
+};
+
+// Inverted index from name terms to POIs, with typo-tolerant, prefix and ranked lookups
+class SearchIndex {
+  constructor(features, { getNames = searchableNames } = {}) {
+    this.docs = features.map((feature) => {
+      const names = [...new Set(getNames(feature))];
+      return {
+        feature,
+        names: names.map(normalize),
+        popularity: popularity(feature),
+      };
+    });
+
+    this.postings = new Map();
+    features.forEach((feature, id) => {
+      indexTerms(this.docs[id].names).forEach((term) => {
+        if (!this.postings.has(term)) this.postings.set(term, []);
+        this.postings.get(term).push(id);
+      });
+    });
+    this.terms = [...this.postings.keys()];
+
+    this.skeletons = new Map();
+    this.terms.forEach((term) => {
+      if (!/^[a-z0-9]+$/.test(term)) return;
+      const key = skeleton(term);
+      if (key.length < 2) return;
+      if (!this.skeletons.has(key)) this.skeletons.set(key, []);
+      this.skeletons.get(key).push(term);
+    });
+  }
+
+  get size() {
+    return this.docs.length;
+  }
+
+  // For each query token, the best score each matching POI gets from any of its terms
+  matchToken(token) {
+    const best = new Map();
+    const credit = (term, score) => {
+      this.postings.get(term).forEach((id) => {
+        if (score > (best.get(id) || 0)) best.set(id, score);
+      });
+    };
+
+    this.terms.forEach((term) => {
+      const score = termScore(token, term);
+      if (score) credit(term, score);
+    });
+    const key = skeleton(token);
+    if (token.length >= 4 && /^[a-z0-9]+$/.test(token) && key.length >= minSkeletonLength(token)) {
+      (this.skeletons.get(key) || []).forEach((term) => credit(term, SKELETON_SCORE));
+    }
+    return best;
+  }
+
+  search(query, { limit = 20, filter = null, near = null } = {}) {
+    const phrase = normalize(query);
+    const tokens = tokenize(query);
+    if (!tokens.length) return [];
+
+    const perToken = tokens.map((token) => this.matchToken(token));
+    const candidates = new Set();
+    perToken.forEach((matches) => matches.forEach((_, id) => candidates.add(id)));
+
+    const results = [];
+    candidates.forEach((id) => {
+      const doc = this.docs[id];
+      if (filter && !filter(doc.feature)) return;
+
+      const tokenScores = perToken.map((matches) => matches.get(id) || 0);
+      const matched = tokenScores.filter(Boolean).length;
+      // Every query word should match something; POIs that miss one keep only half their score
+      let score = tokenScores.reduce((sum, s) => sum + s, 0) / tokens.length;
+      if (matched < tokens.length) score *= 0.5;
+
+      if (doc.names.includes(phrase)) score += 1;
+      else if (doc.names.some((name) => name.startsWith(phrase))) score += 0.5;
+
+      score += doc.popularity;
+
+      let distance = null;
+      if (near) {
+        distance = haversine(near, doc.feature.geometry.coordinates);
+        score += 0.5 * 0.5 ** (distance / 1000 / NEAR_HALF_LIFE_KM);
+      }
+
+      results.push({ feature: doc.feature, score, distance });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, Math.min(limit, MAX_RESULTS));
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  editDistance,
+  maxEdits,
+  normalize,
+  tokenize,
+};
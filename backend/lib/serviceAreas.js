@@ -0,0 +1,141 @@
+const turf = require('@turf/turf');
+const { departureSeeds, shortestPathTree, snapToRoad } = require('./roadGraph');
+const { RequestError } = require('./errors');
+const { MAX_SNAP_M, resolveProfile } = require('./routing');
+const { reachabilityHull } = require('./isochrone');
+const { createCache } = require('./cache');
+
+const MAX_RADIUS_KM = 10;
+const MAX_MINUTES = 30;
+
+const cache = createCache();
+
+const lower = (value) => (value || '').toString().trim().toLowerCase();
+
+// `category` matches either the enriched category ("Health") or the OSM-derived group ("healthcare")
+const matchesPoi = (feature, { category, amenity }) => {
+  const props = feature.properties || {};
+  if (category && lower(props.category) !== category && lower(props.category_group) !== category) return false;
+  if (amenity && lower(props.amenity) !== amenity) return false;
+  return true;
+};
+
+// A repeated query parameter arrives as an array; as with lang, the first value wins
+const poiFilters = (query) => ({
+  category: lower([].concat(query.category)[0]) || null,
+  amenity: lower([].concat(query.amenity)[0]) || null,
+});
+
+function normalizeParams(query) {
+  const params = {
+    ...poiFilters(query),
+    radius: query.radius !== undefined ? parseFloat(query.radius) : null,
+    minutes: query.minutes !== undefined ? parseFloat(query.minutes) : null,
+    profile: query.minutes !== undefined ? resolveProfile(query.profile) : null,
+    dissolve: query.dissolve === 'true' || query.dissolve === true,
+  };
+
+  if (!params.category && !params.amenity) {
+    throw new RequestError('category or amenity is required', 400);
+  }
+  if (params.radius !== null && params.minutes !== null) {
+    throw new RequestError('Use either radius or minutes, not both', 400);
+  }
+  if (params.radius === null && params.minutes === null) params.radius = 0.5;
+  if (params.radius !== null && (isNaN(params.radius) || params.radius <= 0 || params.radius > MAX_RADIUS_KM)) {
+    throw new RequestError(`radius must be between 0 and ${MAX_RADIUS_KM} km`, 400);
+  }
+  if (params.minutes !== null && (isNaN(params.minutes) || params.minutes <= 0 || params.minutes > MAX_MINUTES)) {
+    throw new RequestError(`minutes must be between 0 and ${MAX_MINUTES}`, 400);
+  }
+
+  return params;
+}
+
+function radiusAreas(pois, radius) {
+  return turf.buffer(turf.featureCollection(pois), radius, { units: 'kilometers' }).features;
+}
+
+// One multi-source search labels every reachable node with the POI that reaches it first. Each POI
+// starts where it snaps onto its road, partway along the segment, so POIs on the same road split it
+// rather than sharing a junction. POIs more than MAX_SNAP_M from an open road get no area
+function travelTimeAreas(graphs, pois, minutes, profile) {
+  if (!graphs) {
+    throw new RequestError('Travel-time service areas need the local road network (roads.geojson)', 503);
+  }
+
+  const graph = graphs[profile];
+  const maxCost = minutes * 60;
+  const snaps = pois.map((poi) => snapToRoad(graph, poi.geometry.coordinates, { maxDistance: MAX_SNAP_M }));
+  const seeds = [];
+  const seedPoi = [];
+  snaps.forEach((snap, i) => {
+    if (!snap) return;
+    departureSeeds(snap).filter((seed) => seed.cost <= maxCost).forEach((seed) => {
+      seeds.push(seed);
+      seedPoi.push(i);
+    });
+  });
+  const tree = shortestPathTree(graph, seeds, { maxCost });
+
+  const reached = snaps.map((snap, i) => snap && [turf.point(pois[i].geometry.coordinates), turf.point(snap.point)]);
+  tree.cost.forEach((_, id) => reached[seedPoi[tree.origin.get(id)]].push(turf.point(graph.nodes[id])));
+
+  const areas = [];
+  pois.forEach((poi, i) => {
+    if (!reached[i]) return;
+    const hull = reachabilityHull(turf.featureCollection(reached[i]), profile);
+    areas.push({ ...hull, properties: { ...poi.properties } });
+  });
+  return { areas, unsnapped: snaps.filter((snap) => !snap).length };
+}
+
+function computeServiceAreas(poiCollection, graphs, query) {
+  const params = normalizeParams(query);
+  // Travel-time areas change whenever the set of active road closures does
+  const graph = params.minutes !== null && graphs ? graphs[params.profile] : null;
+  const cacheKey = { ...params, closures: graph?.closures ? graph.closures.key() : '' };
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const pois = poiCollection.features.filter((f) => f.geometry?.type === 'Point' && matchesPoi(f, params));
+
+  let features = [];
+  let unsnapped = 0;
+  if (pois.length && params.minutes !== null) {
+    ({ areas: features, unsnapped } = travelTimeAreas(graphs, pois, params.minutes, params.profile));
+  } else if (pois.length) {
+    features = radiusAreas(pois, params.radius);
+  }
+
+  if (params.dissolve && features.length > 1) {
+    const dissolved = turf.union(turf.featureCollection(features));
+    features = dissolved ? [{ ...dissolved, properties: { poi_count: pois.length } }] : features;
+  }
+
+  const result = {
+    type: 'FeatureCollection',
+    features,
+    properties: { ...params, poi_count: pois.length, ...(params.minutes !== null ? { unsnapped_count: unsnapped } : {}) },
+  };
+
+  return cache.set(cacheKey, result);
+}
+
+function listCategories(poiCollection) {
+  const categories = {};
+  poiCollection.features.forEach((f) => {
+    const name = f.properties?.category || 'Unknown';
+    categories[name] = (categories[name] || 0) + 1;
+  });
+  return Object.entries(categories)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  computeServiceAreas,
+  listCategories,
+  matchesPoi,
+  poiFilters,
+};
@@ -0,0 +1,127 @@
+const RBush = require('rbush');
+const MinHeap = require('./minHeap');
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Plain haversine; turf.distance does the same but allocates per call, which shows up in hot loops
+function haversine([lng1, lat1], [lng2, lat2]) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Closest point on segment a-b to `coord`, on a flat projection around `coord`; fine at street scale
+function projectOnSegment(coord, a, b) {
+  const kx = Math.cos(toRad(coord[1]));
+  const ax = (a[0] - coord[0]) * kx;
+  const ay = a[1] - coord[1];
+  const dx = (b[0] - a[0]) * kx;
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? clamp(-(ax * dx + ay * dy) / lengthSq, 0, 1) : 0;
+  const point = [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+  return { point, t, distance: haversine(coord, point) };
+}
+
+// Lower bound on the distance from a point to anything inside a box
+const boxDistance = ([lng, lat], box) =>
+  haversine([lng, lat], [clamp(lng, box.minX, box.maxX), clamp(lat, box.minY, box.maxY)]);
+
+// R-tree over arbitrary items. `toBBox` gives an item's [minX, minY, maxX, maxY];
+// `distance` gives the exact distance in metres from a [lng, lat] to the item (point or segment)
+class SpatialIndex {
+  constructor({ toBBox, distance }) {
+    this.tree = new RBush();
+    this.size = 0;
+    this.distance = distance;
+    this.toEntry = (item) => {
+      const [minX, minY, maxX, maxY] = toBBox(item);
+      return { minX, minY, maxX, maxY, item };
+    };
+  }
+
+  static forPoints(items, getCoord = (f) => f.geometry.coordinates) {
+    const index = new SpatialIndex({
+      toBBox: (item) => {
+        const [lng, lat] = getCoord(item);
+        return [lng, lat, lng, lat];
+      },
+      distance: (coord, item) => haversine(coord, getCoord(item)),
+    });
+    return index.load(items);
+  }
+
+  // Items are segments; getEnds gives their two [lng, lat] ends
+  static forSegments(items, getEnds = (s) => s.coordinates) {
+    const index = new SpatialIndex({
+      toBBox: (item) => {
+        const [a, b] = getEnds(item);
+        return [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[0], b[0]), Math.max(a[1], b[1])];
+      },
+      distance: (coord, item) => projectOnSegment(coord, ...getEnds(item)).distance,
+    });
+    return index.load(items);
+  }
+
+  load(items) {
+    this.tree.load(items.map(this.toEntry));
+    this.size += items.length;
+    return this;
+  }
+
+  insert(item) {
+    this.tree.insert(this.toEntry(item));
+    this.size++;
+    return this;
+  }
+
+  search([minX, minY, maxX, maxY], filter = null) {
+    const items = this.tree.search({ minX, minY, maxX, maxY }).map((entry) => entry.item);
+    return filter ? items.filter(filter) : items;
+  }
+
+  // Best-first traversal: boxes are queued by their lower-bound distance, items by their exact distance
+  nearest(coord, { k = 1, maxDistance = Infinity, filter = null } = {}) {
+    const results = [];
+    const queue = new MinHeap();
+    queue.push({ node: this.tree.data }, 0);
+
+    while (queue.size && results.length < k) {
+      const { node: entry, priority } = queue.pop();
+      if (priority > maxDistance) break;
+
+      if (entry.item !== undefined) {
+        results.push({ item: entry.item, distance: priority });
+        continue;
+      }
+
+      const { node } = entry;
+      node.children.forEach((child) => {
+        if (node.leaf) {
+          if (filter && !filter(child.item)) return;
+          const d = this.distance(coord, child.item);
+          if (d <= maxDistance) queue.push({ item: child.item }, d);
+        } else {
+          const d = boxDistance(coord, child);
+          if (d <= maxDistance) queue.push({ node: child }, d);
+        }
+      });
+    }
+
+    return results;
+  }
+
+  within(coord, radius, { filter = null, limit = Infinity } = {}) {
+    return this.nearest(coord, { k: limit, maxDistance: radius, filter });
+  }
+}
+
+module.exports = {
+  SpatialIndex,
+  haversine,
+  projectOnSegment,
+};
@@ -0,0 +1,89 @@
+const geojsonvt = require('geojson-vt');
+const vtpbf = require('vt-pbf');
+const { createCache } = require('./cache');
+const { displayName } = require('./names');
+
+const EXTENT = 4096;
+// Deepest zoom tiles are cut at; clients overzoom past it
+const MAX_TILE_ZOOM = 16;
+// Below this zoom, POIs are thinned to one per grid cell so tiles stay light
+const FULL_DETAIL_ZOOM = 15;
+
+const poiRank = (props) => (props.category && props.category !== 'Unknown' ? 0 : 1);
+
+// Tags must be flat scalars for the encoder
+const toTileFeature = (f) => ({
+  type: 'Feature',
+  geometry: f.geometry,
+  properties: {
+    id: f.properties?.id ?? null,
+    name: f.properties?.clean_name || f.properties?.name || f.properties?.amenity || 'POI',
+    name_en: displayName(f, 'en'),
+    name_ur: displayName(f, 'ur'),
+    category: f.properties?.category || f.properties?.category_group || 'Unknown',
+    amenity: f.properties?.amenity || '',
+  },
+});
+
+// Keeps one POI per cell, categorized ones first; cells shrink as zoom approaches FULL_DETAIL_ZOOM
+function thinPoints(tile, z) {
+  if (z >= FULL_DETAIL_ZOOM) return tile;
+
+  const cellSize = Math.min(EXTENT / 8, 32 * 2 ** (FULL_DETAIL_ZOOM - z));
+  const seen = new Set();
+  const features = [...tile.features]
+    .sort((a, b) => poiRank(a.tags) - poiRank(b.tags))
+    .filter((feature) => {
+      const [x, y] = feature.geometry[0];
+      const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  return { ...tile, features };
+}
+
+// geojson-vt does the per-zoom simplification (Douglas-Peucker at `tolerance` pixels) and clipping
+function createTileSource(poiCollection, boundary) {
+  const options = { maxZoom: MAX_TILE_ZOOM, indexMaxZoom: 5, extent: EXTENT, buffer: 64, tolerance: 3 };
+  const cache = createCache(500);
+  const layers = {};
+
+  if (poiCollection) {
+    const points = poiCollection.features.filter((f) => f.geometry?.type === 'Point').map(toTileFeature);
+    layers.pois = geojsonvt({ type: 'FeatureCollection', features: points }, options);
+  }
+  if (boundary) {
+    layers.boundary = geojsonvt(boundary, options);
+  }
+
+  return {
+    maxZoom: MAX_TILE_ZOOM,
+    layerNames: Object.keys(layers),
+
+    // Returns the encoded tile, or null when no layer has anything in it
+    getTile(z, x, y) {
+      const key = { z, x, y };
+      const cached = cache.get(key);
+      if (cached !== undefined) return cached;
+
+      const tileLayers = {};
+      Object.entries(layers).forEach(([name, index]) => {
+        const tile = index.getTile(z, x, y);
+        if (tile && tile.features.length) {
+          tileLayers[name] = name === 'pois' ? thinPoints(tile, z) : tile;
+        }
+      });
+
+      const buffer = Object.keys(tileLayers).length
+        ? Buffer.from(vtpbf.fromGeojsonVt(tileLayers, { version: 2, extent: EXTENT }))
+        : null;
+      return cache.set(key, buffer);
+    },
+  };
+}
+
+module.exports = {
+  createTileSource,
+};
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJobStore, toCsv } = require('../lib/batch');
+const { RequestError } = require('../lib/errors');
+
+test('toCsv keeps text that a spreadsheet would run as a formula inert', () => {
+  const csv = toCsv([{ name: '=HYPERLINK("http://x")', note: '@SUM(A1)', road: '+92', lng: -73.05 }], ['name', 'note', 'road', 'lng']);
+  assert.strictEqual(csv, 'name,note,road,lng\r\n"\'=HYPERLINK(""http://x"")",\'@SUM(A1),\'+92,-73.05\r\n');
+});
+
+test('createJobStore refuses new jobs while too many are unfinished', () => {
+  const store = createJobStore();
+  const jobs = [];
+  assert.throws(() => {
+    for (;;) jobs.push(store.create('search', [{ row: 1 }], (row) => row));
+  }, (error) => error instanceof RequestError && error.status === 429);
+  assert.ok(jobs.length > 0);
+  assert.ok(jobs.every((job) => job.status === 'queued'));
+});
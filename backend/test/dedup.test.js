@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { deduplicate } = require('../lib/dedup');
+
+const poi = (id, lng, tags) => ({
+  type: 'Feature',
+  properties: { id, name: tags.name, amenity: 'pharmacy', tags: { amenity: 'pharmacy', ...tags } },
+  geometry: { type: 'Point', coordinates: [lng, 33.7] },
+});
+
+test('deduplicate does not merge chain outlets that only share a brand', () => {
+  const { features, merged } = deduplicate([
+    poi(1, 73.0, { name: 'Shaheen Chemist F-7', brand: 'Shaheen Chemist' }),
+    poi(2, 73.0003, { name: 'Shaheen Chemist Jinnah Super', brand: 'Shaheen Chemist' }),
+  ]);
+  assert.strictEqual(features.length, 2);
+  assert.deepStrictEqual(merged, []);
+});
+
+test('deduplicate only merges members that match the kept POI', () => {
+  // 1 and 2 match, 2 and 3 match, 1 and 3 don't; 2 has the most tags and keeps both
+  const chain = [
+    poi(1, 73.0, { name: 'Al Shifa' }),
+    poi(2, 73.0002, { name: 'Al Shifa Medical', opening_hours: '24/7', phone: '+92 51 1234567' }),
+    poi(3, 73.0004, { name: 'Shifa Medical' }),
+  ];
+  const { features, merged } = deduplicate(chain, { merge_name_similarity: 0.6 });
+  assert.strictEqual(features.length, 1);
+  assert.deepStrictEqual(merged[0].merged, [1, 3]);
+
+  // With 1 kept (most tags), 3 doesn't match it and stays on its own
+  chain[0].properties.tags = { ...chain[0].properties.tags, opening_hours: '24/7', phone: '+92', website: 'x' };
+  const split = deduplicate(chain, { merge_name_similarity: 0.6 });
+  assert.deepStrictEqual(split.features.map((f) => f.properties.id), [1, 3]);
+  assert.deepStrictEqual(split.merged.map((m) => [m.kept.id, m.merged]), [[1, [2]]]);
+  assert.ok(split.review.some(({ a, b }) => a.id === 2 && b.id === 3));
+});
@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGeocoder } = require('../lib/geocoding');
+
+const poi = { type: 'Feature', properties: { id: 245441172, name: 'Centaurus Mall' }, geometry: { type: 'Point', coordinates: [73.05, 33.708] } };
+const geocoder = createGeocoder({ poisById: new Map([['245441172', poi]]) });
+
+test('resolve takes the first value of a repeated route stop', () => {
+  assert.deepStrictEqual(geocoder.resolve(['33.7,73.05', '33.6,73.1']).coordinates, [73.05, 33.7]);
+  assert.strictEqual(geocoder.resolve(['poi:245441172', 'poi:1']).poi_id, 245441172);
+});
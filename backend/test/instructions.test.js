@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildRoadGraph, shortestPath } = require('../lib/roadGraph');
+const { buildSteps } = require('../lib/instructions');
+
+const road = (coordinates) => ({ type: 'Feature', properties: { highway: 'residential', oneway: 'yes', name: 'Street 5' }, geometry: { type: 'LineString', coordinates } });
+
+test('buildSteps sees a junction where one-way roads meet, though only one of them leaves it', () => {
+  // West and north arms lead into the junction, only the south arm leaves it
+  const graph = buildRoadGraph([
+    road([[73.0, 33.7], [73.01, 33.7]]),
+    road([[73.01, 33.71], [73.01, 33.7]]),
+    road([[73.01, 33.7], [73.01, 33.69]]),
+  ]);
+  const node = (lng, lat) => graph.nodes.findIndex(([x, y]) => x === lng && y === lat);
+  const steps = buildSteps(graph, shortestPath(graph, node(73.0, 33.7), node(73.01, 33.69)));
+
+  assert.deepStrictEqual(steps.map((s) => s.maneuver.type), ['depart', 'turn', 'arrive']);
+  assert.strictEqual(steps[1].maneuver.modifier, 'right');
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTrace } = require('../lib/mapMatching');
+
+const isBadRequest = (error) => error.status === 400;
+
+test('parseTrace refuses GeoJSON lines whose coordinates are not lists of positions', () => {
+  assert.throws(() => parseTrace({ type: 'LineString', coordinates: null }), isBadRequest);
+  assert.throws(() => parseTrace({ type: 'LineString', coordinates: [[73.05, 33.7], null] }), isBadRequest);
+  assert.throws(() => parseTrace({ type: 'MultiLineString', coordinates: [null] }), isBadRequest);
+  assert.throws(() => parseTrace({ type: 'MultiLineString', coordinates: [[73.05, 33.7]] }), isBadRequest);
+});
+
+test('parseTrace reads the points of every part of a MultiLineString', () => {
+  const points = parseTrace({ type: 'MultiLineString', coordinates: [[[73.05, 33.7], [73.06, 33.7]], [[73.07, 33.71]]] });
+  assert.deepStrictEqual(points.map((p) => p.coord), [[73.05, 33.7], [73.06, 33.7], [73.07, 33.71]]);
+});
@@ -0,0 +1,8 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLocations } = require('../lib/matrix');
+
+test('parseLocations reads repeated query parameters as one list', () => {
+  const locations = parseLocations(['33.68,73.04;33.70,73.05', '33.72,73.06'], new Map(), 'origins');
+  assert.deepStrictEqual(locations.map((l) => l.coordinates), [[73.04, 33.68], [73.05, 33.7], [73.06, 33.72]]);
+});
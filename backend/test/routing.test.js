@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { engineWarning } = require('../lib/routing');
+
+test('engineWarning flags the silent fallback to OSRM, not a chosen engine', (t) => {
+  const configured = process.env.ROUTING_ENGINE;
+  t.after(() => {
+    if (configured === undefined) delete process.env.ROUTING_ENGINE;
+    else process.env.ROUTING_ENGINE = configured;
+  });
+
+  delete process.env.ROUTING_ENGINE;
+  assert.match(engineWarning(null), /roads\.geojson/);
+  assert.strictEqual(engineWarning({ driving: {} }), null);
+
+  process.env.ROUTING_ENGINE = 'osrm';
+  assert.strictEqual(engineWarning(null), null);
+});
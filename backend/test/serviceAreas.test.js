@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildRoadGraph } = require('../lib/roadGraph');
+const { computeServiceAreas, matchesPoi, poiFilters } = require('../lib/serviceAreas');
+
+const pharmacy = { properties: { category: 'Health', category_group: 'healthcare', amenity: 'pharmacy' } };
+
+test('poiFilters trims and lowercases category and amenity', () => {
+  assert.deepStrictEqual(poiFilters({ category: ' Health ', amenity: 'PHARMACY' }), { category: 'health', amenity: 'pharmacy' });
+  assert.deepStrictEqual(poiFilters({}), { category: null, amenity: null });
+});
+
+test('poiFilters takes the first value of a repeated parameter', () => {
+  const filters = poiFilters({ category: ['Health', 'Education'], amenity: ['pharmacy', 'school'] });
+  assert.deepStrictEqual(filters, { category: 'health', amenity: 'pharmacy' });
+  assert.ok(matchesPoi(pharmacy, filters));
+});
+
+test('travel-time areas start each POI on its own road and leave out POIs far from any road', () => {
+  // One 2.2 km road with no junction between its ends
+  const road = { type: 'Feature', properties: { highway: 'residential' }, geometry: { type: 'LineString', coordinates: [[73.0, 33.7], [73.024, 33.7]] } };
+  const graphs = { walking: buildRoadGraph([road], 'walking') };
+  const pharmacy = (id, lng, lat) => ({ type: 'Feature', properties: { id, amenity: 'pharmacy' }, geometry: { type: 'Point', coordinates: [lng, lat] } });
+  const pois = { type: 'FeatureCollection', features: [pharmacy(1, 73.004, 33.7001), pharmacy(2, 73.008, 33.7001), pharmacy(3, 73.0, 33.8)] };
+
+  const result = computeServiceAreas(pois, graphs, { amenity: 'pharmacy', minutes: 5, profile: 'walking' });
+  assert.deepStrictEqual(result.features.map((f) => f.properties.id), [1, 2]);
+  assert.notDeepStrictEqual(result.features[0].geometry, result.features[1].geometry);
+  assert.strictEqual(result.properties.unsnapped_count, 1);
+});
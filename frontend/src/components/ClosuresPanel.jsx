@@ -0,0 +1,197 @@
+import React, { useState } from "react";
+
+const fieldStyle = {
+  padding: "6px",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  fontSize: "13px"
+};
+
+const buttonStyle = {
+  flex: 1,
+  padding: "6px",
+  background: "#f3f4f6",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "12px"
+};
+
+const STATUS_COLORS = { active: "#dc2626", scheduled: "#d97706", expired: "#9ca3af" };
+
+const MIN_POINTS = { area: 3, line: 2 };
+
+const formatTime = (iso) => new Date(iso).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+
+const describeWindow = ({ starts_at: startsAt, ends_at: endsAt }) => {
+  if (startsAt && endsAt) return `${formatTime(startsAt)} – ${formatTime(endsAt)}`;
+  if (startsAt) return `from ${formatTime(startsAt)}`;
+  if (endsAt) return `until ${formatTime(endsAt)}`;
+  return "until removed";
+};
+
+const emptyDraft = { name: "", reason: "", startsAt: "", endsAt: "" };
+
+// Lists road closures and drives the drawing tool; the points themselves are collected on the map
+const ClosuresPanel = ({
+  closures,
+  visible,
+  onVisibleChange,
+  drawing,
+  onStartDrawing,
+  onUndoPoint,
+  onCancelDrawing,
+  onSave,
+  onDelete,
+  saving,
+  error,
+  token,
+  onTokenChange,
+}) => {
+  const [draft, setDraft] = useState(emptyDraft);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+  const canSave = drawing && drawing.points.length >= MIN_POINTS[drawing.mode] && draft.name.trim() && !saving;
+
+  const handleSave = async () => {
+    const saved = await onSave({
+      name: draft.name.trim(),
+      reason: draft.reason.trim() || undefined,
+      starts_at: draft.startsAt ? new Date(draft.startsAt).toISOString() : undefined,
+      ends_at: draft.endsAt ? new Date(draft.endsAt).toISOString() : undefined,
+    });
+    if (saved) setDraft(emptyDraft);
+  };
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.95)",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        padding: "10px 12px",
+        boxShadow: "0 6px 20px rgba(0,0,0,0.12)",
+        width: "220px",
+        fontSize: "13px",
+        color: "#111827",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+        <span style={{ fontWeight: 700 }}>Road closures</span>
+        <input
+          type="checkbox"
+          checked={visible}
+          onChange={(e) => onVisibleChange(e.target.checked)}
+          title="Show layer"
+        />
+      </div>
+
+      {closures.length === 0 && <div style={{ color: "#6b7280", marginBottom: "8px" }}>No closures</div>}
+      {closures.map(({ properties: closure }) => (
+        <div
+          key={closure.id}
+          style={{ display: "flex", justifyContent: "space-between", gap: "6px", marginBottom: "6px" }}
+        >
+          <div style={{ minWidth: 0 }}>
+            <div dir="auto" style={{ fontWeight: 600 }}>
+              <span style={{ color: STATUS_COLORS[closure.status] }}>●</span> {closure.name}
+            </div>
+            <div style={{ color: "#6b7280", fontSize: "11px" }}>
+              {closure.status} · {describeWindow(closure)}
+            </div>
+          </div>
+          <button onClick={() => onDelete(closure.id)} style={{ ...buttonStyle, flex: "none" }} title="Remove closure">
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <input
+        type="password"
+        value={token}
+        onChange={(e) => onTokenChange(e.target.value)}
+        placeholder="Editor token"
+        title="Needed to add or remove closures when the server sets CLOSURES_TOKEN"
+        autoComplete="off"
+        style={{ ...fieldStyle, width: "100%", marginBottom: "6px" }}
+      />
+
+      {!drawing ? (
+        <div style={{ display: "flex", gap: "6px" }}>
+          <button onClick={() => onStartDrawing("area")} style={buttonStyle}>Draw area</button>
+          <button onClick={() => onStartDrawing("line")} style={buttonStyle}>Draw road</button>
+        </div>
+      ) : (
+        <div>
+          <div style={{ color: "#6b7280", marginBottom: "6px", fontSize: "12px" }}>
+            {drawing.mode === "area"
+              ? "Click the map around the closed area"
+              : "Click along the closed road"} ({drawing.points.length} points)
+          </div>
+          <input
+            type="text"
+            value={draft.name}
+            dir="auto"
+            onChange={(e) => update({ name: e.target.value })}
+            placeholder="Name, e.g. Red Zone cordon"
+            style={{ ...fieldStyle, width: "100%", marginBottom: "6px" }}
+          />
+          <input
+            type="text"
+            value={draft.reason}
+            onChange={(e) => update({ reason: e.target.value })}
+            placeholder="Reason (optional)"
+            style={{ ...fieldStyle, width: "100%", marginBottom: "6px" }}
+          />
+          <label style={{ display: "block", color: "#374151", fontSize: "12px" }}>
+            From
+            <input
+              type="datetime-local"
+              value={draft.startsAt}
+              onChange={(e) => update({ startsAt: e.target.value })}
+              style={{ ...fieldStyle, width: "100%", marginBottom: "6px" }}
+            />
+          </label>
+          <label style={{ display: "block", color: "#374151", fontSize: "12px" }}>
+            Until
+            <input
+              type="datetime-local"
+              value={draft.endsAt}
+              onChange={(e) => update({ endsAt: e.target.value })}
+              style={{ ...fieldStyle, width: "100%", marginBottom: "6px" }}
+            />
+          </label>
+          <div style={{ display: "flex", gap: "6px", marginBottom: "6px" }}>
+            <button onClick={onUndoPoint} disabled={!drawing.points.length} style={buttonStyle}>Undo point</button>
+            <button onClick={onCancelDrawing} style={buttonStyle}>Cancel</button>
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={!canSave}
+            style={{
+              width: "100%",
+              padding: "8px",
+              background: "#dc2626",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: canSave ? "pointer" : "not-allowed",
+              fontSize: "13px",
+              opacity: canSave ? 1 : 0.6
+            }}
+          >
+            {saving ? "Saving..." : "Save closure"}
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div style={{ color: "#e11d48", marginTop: "6px", fontSize: "12px" }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClosuresPanel;
@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import { COVERAGE_BREAKS } from "../utils/colors";
+
+const fieldStyle = {
+  padding: "6px",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  fontSize: "13px"
+};
+
+const CoveragePanel = ({ categories, onCompute, onClear, loading, error, summary }) => {
+  const [category, setCategory] = useState("Health");
+  const [grid, setGrid] = useState("hex");
+  const [cellSize, setCellSize] = useState(1);
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.95)",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        padding: "10px 12px",
+        boxShadow: "0 6px 20px rgba(0,0,0,0.12)",
+        width: "220px",
+        fontSize: "13px",
+        color: "#111827",
+      }}
+    >
+      <div style={{ fontWeight: 700, marginBottom: "8px" }}>Coverage gaps</div>
+
+      <select
+        value={category}
+        onChange={(e) => setCategory(e.target.value)}
+        style={{ ...fieldStyle, width: "100%", marginBottom: "6px" }}
+      >
+        {!categories.some((c) => c.name === category) && <option value={category}>{category}</option>}
+        {categories.map((c) => (
+          <option key={c.name} value={c.name}>
+            {c.name} ({c.count})
+          </option>
+        ))}
+      </select>
+
+      <div style={{ display: "flex", gap: "6px", marginBottom: "8px" }}>
+        <input
+          type="number"
+          min="0.25"
+          max="5"
+          step="0.25"
+          value={cellSize}
+          onChange={(e) => setCellSize(e.target.value)}
+          style={{ ...fieldStyle, width: "70px" }}
+          title="Cell size (km)"
+        />
+        <select value={grid} onChange={(e) => setGrid(e.target.value)} style={{ ...fieldStyle, flex: 1 }}>
+          <option value="hex">km hex cells</option>
+          <option value="square">km square cells</option>
+        </select>
+      </div>
+
+      <div style={{ display: "flex", gap: "8px" }}>
+        <button
+          onClick={() => onCompute({ category, grid, cellSize })}
+          disabled={loading}
+          style={{
+            flex: 1,
+            padding: "8px",
+            background: "#d73027",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px",
+            opacity: loading ? 0.7 : 1
+          }}
+        >
+          {loading ? "Analyzing..." : "Analyze"}
+        </button>
+        {summary && (
+          <button
+            onClick={onClear}
+            style={{ ...fieldStyle, background: "#f3f4f6", cursor: "pointer" }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ color: "#e11d48", marginTop: "6px", fontSize: "12px" }}>
+          {error}
+        </div>
+      )}
+
+      {summary && (
+        <div style={{ marginTop: "8px", fontSize: "12px", color: "#374151" }}>
+          <div>Median distance: {summary.median_distance_km} km</div>
+          <div>Farthest cell: {summary.max_distance_km} km</div>
+          {summary.pct_area_within.map((w) => (
+            <div key={w.km}>
+              Area within {w.km} km: <b>{w.pct}%</b>
+            </div>
+          ))}
+          <div style={{ display: "flex", marginTop: "6px" }}>
+            {COVERAGE_BREAKS.map((b, i) => (
+              <div key={i} style={{ flex: 1, textAlign: "center" }}>
+                <div style={{ background: b.color, height: "8px" }} />
+                <div style={{ fontSize: "10px", color: "#6b7280" }}>
+                  {b.max === Infinity ? `>${COVERAGE_BREAKS[i - 1].max}` : `≤${b.max}`}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CoveragePanel;
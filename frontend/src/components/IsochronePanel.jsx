@@ -0,0 +1,95 @@
+import React, { useState } from "react";
+
+const IsochronePanel = ({ selectedLocation, onCompute, onClear, loading, error, hasResult }) => {
+  const [minutes, setMinutes] = useState("5,10,15");
+  const [profile, setProfile] = useState("walking");
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        bottom: "24px",
+        right: "12px",
+        zIndex: 1200,
+        background: "rgba(255,255,255,0.95)",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        padding: "10px 12px",
+        boxShadow: "0 6px 20px rgba(0,0,0,0.12)",
+        width: "240px",
+        fontSize: "13px",
+        color: "#111827",
+      }}
+    >
+      <div style={{ fontWeight: 700, marginBottom: "8px" }}>Reachable within</div>
+
+      <div style={{ display: "flex", gap: "6px", marginBottom: "8px" }}>
+        <input
+          type="text"
+          value={minutes}
+          onChange={(e) => setMinutes(e.target.value)}
+          placeholder="5,10,15"
+          style={{ flex: 1, padding: "6px", border: "1px solid #d1d5db", borderRadius: "6px", fontSize: "13px" }}
+        />
+        <select
+          value={profile}
+          onChange={(e) => setProfile(e.target.value)}
+          style={{ padding: "6px", border: "1px solid #d1d5db", borderRadius: "6px", fontSize: "13px" }}
+        >
+          <option value="walking">Walk</option>
+          <option value="cycling">Cycle</option>
+          <option value="driving">Drive</option>
+        </select>
+      </div>
+
+      <div style={{ color: "#6b7280", marginBottom: "8px" }}>
+        {selectedLocation
+          ? `From: ${selectedLocation.result?.name || "selected point"}`
+          : "Click the map or pick a search result first"}
+      </div>
+
+      <div style={{ display: "flex", gap: "8px" }}>
+        <button
+          onClick={() => onCompute(selectedLocation.coords, minutes, profile)}
+          disabled={!selectedLocation || loading}
+          style={{
+            flex: 1,
+            padding: "8px",
+            background: "#16a34a",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: selectedLocation ? "pointer" : "not-allowed",
+            fontSize: "13px",
+            opacity: !selectedLocation || loading ? 0.6 : 1
+          }}
+        >
+          {loading ? "Computing..." : "Show isochrones"}
+        </button>
+        {hasResult && (
+          <button
+            onClick={onClear}
+            style={{
+              padding: "8px",
+              background: "#f3f4f6",
+              border: "1px solid #d1d5db",
+              borderRadius: "6px",
+              cursor: "pointer",
+              fontSize: "13px"
+            }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ color: "#e11d48", marginTop: "6px", fontSize: "12px" }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IsochronePanel;
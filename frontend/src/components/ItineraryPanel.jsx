@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { formatDistance, formatDuration } from "../utils/format";
+
+const MANEUVER_ICONS = {
+  depart: "🚩",
+  arrive: "🏁",
+  left: "⬅",
+  "slight left": "↖",
+  "sharp left": "↙",
+  right: "➡",
+  "slight right": "↗",
+  "sharp right": "↘",
+  straight: "⬆",
+  uturn: "↩",
+};
+
+const maneuverIcon = (maneuver) =>
+  MANEUVER_ICONS[maneuver.type] || MANEUVER_ICONS[maneuver.modifier] || MANEUVER_ICONS.straight;
+
+const ItineraryPanel = ({ legs, activeStep, onSelectStep }) => {
+  const [collapsed, setCollapsed] = useState(false);
+
+  if (!legs?.length) return null;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        bottom: "24px",
+        left: "12px",
+        zIndex: 1200,
+        background: "rgba(255,255,255,0.95)",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        boxShadow: "0 6px 20px rgba(0,0,0,0.12)",
+        width: "300px",
+        fontSize: "13px",
+        color: "#111827",
+      }}
+    >
+      <div
+        onClick={() => setCollapsed((c) => !c)}
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          padding: "10px 12px",
+          fontWeight: 700,
+          cursor: "pointer",
+          borderBottom: collapsed ? "none" : "1px solid #e5e7eb",
+        }}
+      >
+        <span>Itinerary</span>
+        <span>{collapsed ? "▸" : "▾"}</span>
+      </div>
+
+      {!collapsed && (
+        <div style={{ maxHeight: "260px", overflowY: "auto" }}>
+          {legs.map((leg, legIndex) => (
+            <div key={legIndex}>
+              {legs.length > 1 && (
+                <div style={{ padding: "6px 12px", background: "#f9fafb", color: "#6b7280", fontWeight: 600 }}>
+                  Leg {legIndex + 1} · {formatDistance(leg.distance)} · {formatDuration(leg.duration)}
+                </div>
+              )}
+              {(leg.steps || []).map((step, stepIndex) => {
+                const key = `${legIndex}-${stepIndex}`;
+                return (
+                  <div
+                    key={key}
+                    onClick={() => onSelectStep(key, step)}
+                    style={{
+                      display: "flex",
+                      gap: "8px",
+                      padding: "8px 12px",
+                      cursor: "pointer",
+                      background: activeStep === key ? "#e0f2fe" : "transparent",
+                      borderBottom: "1px solid #f3f4f6",
+                    }}
+                  >
+                    <span style={{ width: "18px", textAlign: "center" }}>{maneuverIcon(step.maneuver)}</span>
+                    <span style={{ flex: 1 }}>
+                      <div>{step.instruction}</div>
+                      {step.distance > 0 && (
+                        <div style={{ color: "#6b7280", fontSize: "12px" }}>
+                          {formatDistance(step.distance)} · {formatDuration(step.duration)}
+                        </div>
+                      )}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ItineraryPanel;
@@ -1,9 +1,18 @@
 import React, { useEffect, useState, useRef, useMemo, useCallback } from "react";
-import { MapContainer, TileLayer, Marker, Popup, GeoJSON, useMap, Circle, CircleMarker, useMapEvents } from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Popup, Tooltip, GeoJSON, useMap, Circle, CircleMarker, Polygon, Polyline, useMapEvents } from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import "leaflet.vectorgrid";
 import SearchBar from "./SearchBar";
+import RoutePanel from "./RoutePanel";
+import ItineraryPanel from "./ItineraryPanel";
+import IsochronePanel from "./IsochronePanel";
+import ServiceAreaPanel from "./ServiceAreaPanel";
+import CoveragePanel from "./CoveragePanel";
+import NearbyPanel from "./NearbyPanel";
+import ClosuresPanel from "./ClosuresPanel";
+import { categoryColor, coverageColor } from "../utils/colors";
+import { formatDistance, formatDuration } from "../utils/format";
 
 if (typeof window !== 'undefined') {
   window.L = L; 
@@ -42,10 +51,40 @@ const INLINE_BOUNDARY = {
   ],
 };
 
+// Stops closer than this to their road don't get a connector drawn
+const MIN_CONNECTOR_M = 5;
+
+// How many alternatives to ask /route for besides the fastest route
+const ROUTE_ALTERNATIVES = 2;
+
+const routeCollection = (route) => ({
+  type: "FeatureCollection",
+  features: [{
+    type: "Feature",
+    geometry: route.geometry,
+    properties: { distance_m: route.distance, duration_s: route.duration },
+  }],
+});
+
+const ISOCHRONE_COLORS = ["#16a34a", "#facc15", "#f97316", "#dc2626", "#9333ea", "#1e3a8a"];
+
 const initialPOIs = [
   
 ];
 
+// Tile properties come from OSM, so popups set them as text rather than HTML
+const featurePopup = (title, detail) => {
+  const content = document.createElement("div");
+  const heading = document.createElement("b");
+  heading.textContent = title;
+  content.appendChild(heading);
+  if (detail) {
+    content.appendChild(document.createElement("br"));
+    content.appendChild(document.createTextNode(detail));
+  }
+  return content;
+};
+
 const DATA_BASE =
   import.meta.env.VITE_DATA_BASE_URL || "http://localhost:5000/data"  || "https://mapify-it-task.onrender.com/data"
 function MapboxVectorLayer() {
@@ -146,7 +185,7 @@ function MapboxVectorLayer() {
       const name = props.name || props.amenity || "Feature";
       L.popup()
         .setLatLng(e.latlng)
-        .setContent(`<b>${name}</b>`)
+        .setContent(featurePopup(name))
         .openOn(map);
     });
 
@@ -224,6 +263,119 @@ function MapboxVectorLayer() {
   return null;
 }
 
+// Our own POIs and boundary, cut into vector tiles by the backend; no token needed
+function LocalVectorLayer({ url, lang }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (typeof L === 'undefined' || !L.vectorGrid || !L.vectorGrid.protobuf) {
+      console.error("leaflet.vectorgrid is not loaded. Make sure it's imported.");
+      return;
+    }
+
+    const vectorLayer = L.vectorGrid.protobuf(url, {
+      maxNativeZoom: 16,
+      maxZoom: 20,
+      interactive: true,
+      zIndex: 400,
+      rendererFactory: L.canvas.tile,
+      getFeatureId: (f) => f.properties?.id || null,
+      vectorTileLayerStyles: {
+        pois: (properties, zoom) => ({
+          radius: zoom >= 15 ? 5 : 3,
+          fill: true,
+          fillColor: categoryColor(properties.category),
+          fillOpacity: 0.9,
+          color: "#ffffff",
+          weight: 1,
+        }),
+        boundary: {
+          color: "#2563eb",
+          weight: 2,
+          opacity: 0.8,
+          fill: true,
+          fillOpacity: 0.05,
+        },
+      },
+    })
+    .on("click", (e) => {
+      const props = e.layer?.properties || {};
+      if (!props.category) return;
+      const name = (lang && props[`name_${lang}`]) || props.name;
+      L.popup()
+        .setLatLng(e.latlng)
+        .setContent(featurePopup(name, `Type: ${props.category}${props.amenity ? ` (${props.amenity})` : ""}`))
+        .openOn(map);
+    })
+    .addTo(map);
+
+    return () => {
+      map.removeLayer(vectorLayer);
+    };
+  }, [map, url, lang]);
+
+  return null;
+}
+
+// Reports the visible area (padded a little so markers don't pop in at the edges) whenever the map settles
+function ViewportWatcher({ onViewportChange }) {
+  const map = useMap();
+
+  const report = useCallback(() => {
+    const bounds = map.getBounds().pad(0.1);
+    onViewportChange({
+      bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()].map((v) => v.toFixed(5)),
+      zoom: map.getZoom(),
+    });
+  }, [map, onViewportChange]);
+
+  useEffect(() => {
+    report();
+  }, [report]);
+
+  useMapEvents({ moveend: report });
+
+  return null;
+}
+
+const clusterIcon = (count, type) => {
+  const color = categoryColor(type);
+  const size = count < 10 ? 26 : count < 100 ? 32 : 40;
+
+  return L.divIcon({
+    className: "custom-poi-cluster",
+    html: `<div style="background-color: ${color}; width: ${size}px; height: ${size}px; border-radius: 50%; border: 3px solid rgba(255,255,255,0.85); box-shadow: 0 1px 4px rgba(0,0,0,0.3); color: white; font-size: 12px; font-weight: 700; display: flex; align-items: center; justify-content: center; box-sizing: border-box;">${count}</div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+};
+
+function ClusterMarker({ cluster }) {
+  const map = useMap();
+  const icon = useMemo(() => clusterIcon(cluster.count, cluster.type), [cluster.count, cluster.type]);
+
+  const expand = () => {
+    const [minLng, minLat, maxLng, maxLat] = cluster.bbox;
+    // Members sharing one spot can't be separated by fitting their bounds, so just zoom in
+    if (minLng === maxLng && minLat === maxLat) {
+      map.flyTo(cluster.coords, Math.min(map.getZoom() + 2, map.getMaxZoom()));
+      return;
+    }
+    map.flyToBounds([[minLat, minLng], [maxLat, maxLng]], { padding: [40, 40] });
+  };
+
+  return (
+    <Marker position={cluster.coords} icon={icon} eventHandlers={{ click: expand }}>
+      <Tooltip direction="top">
+        {Object.entries(cluster.categories)
+          .sort((a, b) => b[1] - a[1])
+          .map(([category, count]) => `${category}: ${count}`)
+          .join(", ")}
+      </Tooltip>
+    </Marker>
+  );
+}
+
 function MapClickHandler({ onMapClick }) {
   useMapEvents({
     click: (e) => {
@@ -236,19 +388,74 @@ function MapClickHandler({ onMapClick }) {
   return null;
 }
 
+// While a closure is being drawn, map clicks add its points instead of reverse geocoding
+function ClosureDrawHandler({ onAddPoint }) {
+  useMapEvents({
+    click: (e) => onAddPoint([e.latlng.lat, e.latlng.lng]),
+  });
+
+  return null;
+}
+
 export default function MapView() {
   const [pois, setPois] = useState(initialPOIs);
+  const [viewport, setViewport] = useState(null);
+  const [poiLayerMode, setPoiLayerMode] = useState("clusters");
+  const [nameLang, setNameLang] = useState("");
   const [loading, setLoading] = useState(false);
   const [boundary, setBoundary] = useState(null);
   const [selectedLocation, setSelectedLocation] = useState(null);
   const mapRef = useRef(null);
   const reverseInFlightRef = useRef(false);
-  const [healthBuffers, setHealthBuffers] = useState(null);
+  const [serviceAreas, setServiceAreas] = useState(null);
+  const [serviceAreaParams, setServiceAreaParams] = useState({
+    enabled: true,
+    category: "Health",
+    mode: "radius",
+    value: 0.5,
+    profile: "walking",
+    dissolve: false,
+  });
+  const [serviceAreaLoading, setServiceAreaLoading] = useState(false);
+  const [serviceAreaError, setServiceAreaError] = useState("");
+  const [poiCategories, setPoiCategories] = useState([]);
+  const [coverage, setCoverage] = useState(null);
+  const [coverageLoading, setCoverageLoading] = useState(false);
+  const [coverageError, setCoverageError] = useState("");
   const [routeGeo, setRouteGeo] = useState(null);
   const [routeError, setRouteError] = useState("");
   const [routeLoading, setRouteLoading] = useState(false);
   const [startInput, setStartInput] = useState("");
   const [endInput, setEndInput] = useState("");
+  const [viaInputs, setViaInputs] = useState([]);
+  // Coordinates of stops typed as place names, from the autocomplete or the last route response
+  const [placeCoords, setPlaceCoords] = useState({});
+  const [optimizeStops, setOptimizeStops] = useState(false);
+  const [routeSummary, setRouteSummary] = useState(null);
+  // The main route and its alternatives as returned by /route, fastest first
+  const [routeOptions, setRouteOptions] = useState([]);
+  const [selectedRoute, setSelectedRoute] = useState(0);
+  const [travelProfile, setTravelProfile] = useState("driving");
+  const [activeStep, setActiveStep] = useState(null);
+  const [isochrones, setIsochrones] = useState(null);
+  // Where the last clicked point meets the road network, from /snap
+  const [clickSnap, setClickSnap] = useState(null);
+  const [closures, setClosures] = useState(null);
+  const [closuresVisible, setClosuresVisible] = useState(true);
+  // { mode: "area" | "line", points: [[lat, lng], ...] } while drawing a closure
+  const [closureDrawing, setClosureDrawing] = useState(null);
+  const [closureSaving, setClosureSaving] = useState(false);
+  const [closureError, setClosureError] = useState("");
+  // Sent as a bearer token on closure edits; the backend requires it when CLOSURES_TOKEN is set
+  const [closureToken, setClosureToken] = useState("");
+  const [isochroneLoading, setIsochroneLoading] = useState(false);
+  const [isochroneError, setIsochroneError] = useState("");
+  const [nearbyOrigin, setNearbyOrigin] = useState(null);
+  const [nearby, setNearby] = useState(null);
+  const [nearbyTotal, setNearbyTotal] = useState(null);
+  const [nearbyFilters, setNearbyFilters] = useState({ category: "", amenity: "", mode: "k", value: 5 });
+  const [nearbyLoading, setNearbyLoading] = useState(false);
+  const [nearbyError, setNearbyError] = useState("");
   const [clickAssignTarget, setClickAssignTarget] = useState(null); 
 
   const API_BASE = useMemo(() =>
@@ -301,78 +508,120 @@ export default function MapView() {
   }, [boundary]);
 
   useEffect(() => {
+    if (!viewport || poiLayerMode !== "clusters") return;
+    const controller = new AbortController();
+
     const fetchPOIs = async () => {
       try {
         setLoading(true);
-        const enrichedUrl = `${DATA_BASE}/enrichedPois.geojson`;
-        const rawUrl = `${DATA_BASE}/rawPois.geojson`;
+        const langParam = nameLang ? `&lang=${nameLang}` : "";
+        const url = `${API_BASE}/pois/clusters?bbox=${viewport.bbox.join(",")}&zoom=${viewport.zoom}${langParam}`;
+        const res = await fetch(url, { signal: controller.signal });
 
-        console.log('Loading POIs (enriched) from:', enrichedUrl);
-        let localRes = await fetch(enrichedUrl);
-        
-        if (!localRes.ok) {
-          console.warn(`Failed to load enriched from ${enrichedUrl}, status: ${localRes.status}`);
-          console.log('Trying raw POIs from:', rawUrl);
-          localRes = await fetch(rawUrl);
-        }
-        
-        if (localRes.ok) {
-          const geo = await localRes.json();
-          console.log('Loaded POI GeoJSON with', geo.features?.length || 0, 'features');
-          const parsed = (geo.features || [])
-            .map((f) => {
-              const [lon, lat] = f.geometry?.coordinates || [];
-              return {
-                name: f.properties?.clean_name || f.properties?.name || f.properties?.amenity || "POI",
-                coords: [lat, lon],
-                type: f.properties?.category || f.properties?.category_group || f.properties?.amenity || "POI",
-              };
-            })
-            .filter((p) => p.coords[0] && p.coords[1])
-            .filter((p) =>
-              p.coords[0] >= ISB_BOUNDS[0][0] &&
-              p.coords[0] <= ISB_BOUNDS[1][0] &&
-              p.coords[1] >= ISB_BOUNDS[0][1] &&
-              p.coords[1] <= ISB_BOUNDS[1][1]
-            );
-          console.log('Parsed', parsed.length, 'POIs within Islamabad bounds');
-          setPois(parsed.length ? parsed.slice(0, 8000) : initialPOIs);
+        if (!res.ok) {
+          console.warn(`Failed to load POIs from ${url}, status: ${res.status}`);
           return;
         }
-        
-        console.warn("Could not load rawPois.geojson from any source, using default POIs");
-        setPois(initialPOIs);
+
+        const geo = await res.json();
+        const parsed = (geo.features || []).map((f) => {
+          const [lon, lat] = f.geometry.coordinates;
+          if (f.properties.cluster) {
+            return {
+              cluster: true,
+              coords: [lat, lon],
+              count: f.properties.point_count,
+              categories: f.properties.categories,
+              type: f.properties.dominant_category,
+              bbox: f.properties.bbox,
+            };
+          }
+          return {
+            id: f.properties.id,
+            name: f.properties.name,
+            coords: [lat, lon],
+            type: f.properties.category || f.properties.amenity || "POI",
+          };
+        });
+        setPois(parsed);
       } catch (error) {
-        console.error("Error loading POIs:", error);
-        setPois(initialPOIs);
+        if (error.name !== "AbortError") console.error("Error loading POIs:", error);
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) setLoading(false);
       }
     };
-    
+
     fetchPOIs();
-  }, []);
+    return () => controller.abort();
+  }, [API_BASE, viewport, poiLayerMode, nameLang]);
 
   useEffect(() => {
-    const fetchHealthBuffers = async () => {
+    const fetchCategories = async () => {
+      try {
+        const res = await fetch(`${API_BASE}/service-areas/categories`);
+        if (res.ok) {
+          const data = await res.json();
+          setPoiCategories(data.categories || []);
+        }
+      } catch (error) {
+        console.error('Error loading POI categories:', error);
+      }
+    };
+    fetchCategories();
+  }, [API_BASE]);
+
+  useEffect(() => {
+    if (!serviceAreaParams.enabled) {
+      setServiceAreas(null);
+      return;
+    }
+
+    const fetchServiceAreas = async () => {
+      const { category, mode, value, profile, dissolve } = serviceAreaParams;
+      const profileParam = mode === "minutes" ? `&profile=${profile}` : "";
+      const url = `${API_BASE}/service-areas?category=${encodeURIComponent(category)}&${mode}=${value}${profileParam}&dissolve=${dissolve}`;
+
+      setServiceAreaLoading(true);
+      setServiceAreaError("");
       try {
-        const url = `${API_BASE}/health-buffers`;
-        console.log('Loading health buffers from:', url);
         const res = await fetch(url);
+        const geo = await res.json();
         if (res.ok) {
-          const geo = await res.json();
-          console.log('Loaded health buffers with', geo.features?.length || 0, 'features');
-          setHealthBuffers(geo);
+          setServiceAreas(geo);
         } else {
-          console.warn('Failed to load health buffers, status:', res.status);
+          console.warn('Failed to load service areas, status:', res.status);
+          setServiceAreaError(geo?.details || geo?.error || `Service areas failed (status ${res.status})`);
         }
       } catch (error) {
-        console.error('Error loading health buffers:', error);
+        console.error('Error loading service areas:', error);
+        setServiceAreaError("Service area request failed");
+      } finally {
+        setServiceAreaLoading(false);
       }
     };
-    fetchHealthBuffers();
+    fetchServiceAreas();
+    // Closures change travel-time areas, so a new closure list refetches them
+  }, [API_BASE, serviceAreaParams, closures]);
+
+  const fetchClosures = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_BASE}/closures`);
+      const data = await res.json();
+      if (!res.ok) {
+        setClosureError(data?.details || data?.error || `Closures failed (status ${res.status})`);
+        return;
+      }
+      setClosures(data);
+    } catch (error) {
+      console.error("[Closures] error", error);
+      setClosureError("Closures request failed");
+    }
   }, [API_BASE]);
 
+  useEffect(() => {
+    fetchClosures();
+  }, [fetchClosures]);
+
   const flyTo = useCallback((coords, zoom = 15, duration = 1.2) => {
     const map = mapRef.current || window.leafletMapInstance;
     if (map && map.flyTo) {
@@ -395,19 +644,41 @@ export default function MapView() {
   }, [flyTo]);
 
   const handleReverseResult = useCallback((coords, result) => {
-    console.log('[ReverseResult] nearest POI', { coords, result });
+    const noMatch = result.status === 'no_match';
     setSelectedLocation({ 
       coords, 
       result: {
-        name: result.name,
-        category: result.category,
-        distance_km: result.distance_km
+        name: noMatch ? "No match" : result.poi?.name || result.road?.name || result.area?.name || "Unnamed location",
+        category: noMatch ? result.message : result.poi?.category || result.road?.highway || "Area",
+        distance_km: result.poi?.distance_km,
+        address: result.address,
+        noMatch
       },
       source: 'click'
     });
     flyTo(coords, 16, 1.0);
   }, [flyTo]);
 
+  const fetchSnap = useCallback(async (lat, lng) => {
+    try {
+      const res = await fetch(`${API_BASE}/snap?lat=${lat}&lng=${lng}&profile=${travelProfile}`);
+      if (!res.ok) {
+        setClickSnap(null);
+        return;
+      }
+      const data = await res.json();
+      setClickSnap({
+        from: [lat, lng],
+        to: [data.location[1], data.location[0]],
+        road: data.road,
+        distance: data.distance,
+      });
+    } catch (error) {
+      console.error("[Snap] error", error);
+      setClickSnap(null);
+    }
+  }, [API_BASE, travelProfile]);
+
   const triggerReverseGeocode = useCallback(async (lat, lng) => {
     if (reverseInFlightRef.current) {
       console.log('[Reverse] already in flight, skipping');
@@ -415,16 +686,19 @@ export default function MapView() {
     }
 
     reverseInFlightRef.current = true;
+    fetchSnap(lat, lng);
     console.log('[Reverse] start', { lat, lng, api: `${API_BASE}/reverse` });
 
     try {
-      const response = await fetch(`${API_BASE}/reverse?lat=${lat}&lng=${lng}`);
+      const langParam = nameLang ? `&lang=${nameLang}` : "";
+      const response = await fetch(`${API_BASE}/reverse?lat=${lat}&lng=${lng}${langParam}`);
       console.log('[Reverse] status', response.status);
 
       if (response.ok) {
         const data = await response.json();
         console.log('[Reverse] data', data);
         handleReverseResult([lat, lng], data);
+        setNearbyOrigin([lat, lng]);
 
         if (clickAssignTarget === 'start') {
           setStartInput(`${lat.toFixed(6)},${lng.toFixed(6)}`);
@@ -432,6 +706,10 @@ export default function MapView() {
         } else if (clickAssignTarget === 'end') {
           setEndInput(`${lat.toFixed(6)},${lng.toFixed(6)}`);
           setClickAssignTarget(null); 
+        } else if (typeof clickAssignTarget === 'number') {
+          const viaIndex = clickAssignTarget;
+          setViaInputs((prev) => prev.map((v, i) => (i === viaIndex ? `${lat.toFixed(6)},${lng.toFixed(6)}` : v)));
+          setClickAssignTarget(null);
         }
       } else {
         console.warn('[Reverse] failed status', response.status);
@@ -441,7 +719,7 @@ export default function MapView() {
     } finally {
       reverseInFlightRef.current = false;
     }
-  }, [API_BASE, handleReverseResult, clickAssignTarget]);
+  }, [API_BASE, handleReverseResult, clickAssignTarget, nameLang, fetchSnap]);
 
   const parseLatLng = (value) => {
     if (!value) return null;
@@ -450,25 +728,45 @@ export default function MapView() {
     return parts;
   };
 
-  const fetchRoute = useCallback(async (startStr, endStr) => {
-    const start = parseLatLng(startStr);
-    const end = parseLatLng(endStr);
+  const viewportCenter = useMemo(() => viewport && [
+    (Number(viewport.bbox[1]) + Number(viewport.bbox[3])) / 2,
+    (Number(viewport.bbox[0]) + Number(viewport.bbox[2])) / 2,
+  ], [viewport]);
 
-    if (!start || !end) {
-      setRouteError("Enter start/end as lat,lng (e.g., 33.6844,73.0479)");
+  // What /route gets for a stop: the picked suggestion's coordinates, else the text as typed
+  const stopParam = useCallback((value) => {
+    const coords = placeCoords[value.trim()];
+    return encodeURIComponent(coords ? `${coords[0]},${coords[1]}` : value.trim());
+  }, [placeCoords]);
+
+  const fetchRoute = useCallback(async (startStr, endStr, { via: viaStrs = [], optimize = false, profile = "driving" } = {}) => {
+    const filledVia = viaStrs.filter((v) => v.trim());
+
+    if (!startStr.trim() || !endStr.trim()) {
+      setRouteError("Enter a start and end: a place, an address or lat,lng");
       return;
     }
 
     setRouteLoading(true);
     setRouteError("");
     setRouteGeo(null);
+    setRouteSummary(null);
+    setRouteOptions([]);
+    setSelectedRoute(0);
+    setActiveStep(null);
 
     try {
-      const url = `${API_BASE}/route?start=${start[0]},${start[1]}&end=${end[0]},${end[1]}`;
+      const viaParam = filledVia.length ? `&via=${filledVia.map(stopParam).join(";")}` : "";
+      const optimizeParam = optimize && filledVia.length > 1 ? "&optimize=true" : "";
+      const langParam = nameLang ? `&lang=${nameLang}` : "";
+      // The backend only offers alternatives between two points
+      const alternativesParam = filledVia.length ? "" : `&alternatives=${ROUTE_ALTERNATIVES}`;
+      const url = `${API_BASE}/route?start=${stopParam(startStr)}&end=${stopParam(endStr)}${viaParam}${optimizeParam}&profile=${profile}${langParam}${alternativesParam}`;
       console.log("[Route] fetching", url);
       const res = await fetch(url);
       if (!res.ok) {
-        setRouteError(`Route failed (status ${res.status})`);
+        const body = await res.json().catch(() => null);
+        setRouteError(body?.details || body?.error || `Route failed (status ${res.status})`);
         return;
       }
       const data = await res.json();
@@ -477,26 +775,255 @@ export default function MapView() {
         return;
       }
 
-      const feature = {
-        type: "Feature",
-        geometry: data.route.geometry,
-        properties: {
-          distance_m: data.route.distance,
-          duration_s: data.route.duration,
-        },
-      };
-      setRouteGeo({ type: "FeatureCollection", features: [feature] });
+      const options = [{ ...data.route, overlap: 1 }, ...(data.alternatives || [])];
+      setRouteOptions(options);
+      setRouteGeo(routeCollection(data.route));
+      setRouteSummary({
+        distance: data.route.distance,
+        duration: data.route.duration,
+        legs: data.route.legs || [],
+        profile: data.profile || profile,
+        waypoints: data.waypoints || [],
+        warning: data.warning || null,
+      });
+
+      // Remember where typed place names resolved to, so their markers can be shown and dragged
+      const inputs = [startStr, ...filledVia, endStr];
+      const resolved = {};
+      (data.waypoints || []).forEach((wp) => {
+        const input = inputs[wp.input_index]?.trim();
+        if (input && !parseLatLng(input) && !placeCoords[input]) resolved[input] = [wp.location[1], wp.location[0]];
+      });
+      if (Object.keys(resolved).length) setPlaceCoords((prev) => ({ ...prev, ...resolved }));
+
+      if (optimizeParam && data.waypoints?.length) {
+        const reordered = data.waypoints
+          .slice(1, -1)
+          .map((wp) => filledVia[wp.input_index - 1])
+          .filter(Boolean);
+        setViaInputs(reordered);
+      }
 
-       const midLat = (start[0] + end[0]) / 2;
-      const midLng = (start[1] + end[1]) / 2;
-      flyTo([midLat, midLng], 13, 1.2);
+      const first = data.waypoints?.[0]?.location;
+      const last = data.waypoints?.[data.waypoints.length - 1]?.location;
+      if (first && last) flyTo([(first[1] + last[1]) / 2, (first[0] + last[0]) / 2], 13, 1.2);
     } catch (error) {
       console.error("[Route] error", error);
       setRouteError("Route request failed");
     } finally {
       setRouteLoading(false);
     }
-  }, [API_BASE, flyTo]);
+  }, [API_BASE, flyTo, nameLang, stopParam, placeCoords]);
+
+  const selectRoute = useCallback((index) => {
+    const option = routeOptions[index];
+    if (!option) return;
+    setSelectedRoute(index);
+    setActiveStep(null);
+    setRouteGeo(routeCollection(option));
+    setRouteSummary((prev) => prev && {
+      ...prev,
+      distance: option.distance,
+      duration: option.duration,
+      legs: option.legs || [],
+    });
+  }, [routeOptions]);
+
+  const handleSelectPlace = useCallback((target, name, coords) => {
+    setPlaceCoords((prev) => ({ ...prev, [name.trim()]: coords }));
+    if (target === "start") setStartInput(name);
+    else if (target === "end") setEndInput(name);
+    else setViaInputs((prev) => prev.map((v, i) => (i === target ? name : v)));
+  }, []);
+
+  const moveVia = useCallback((from, to) => {
+    setViaInputs((prev) => {
+      if (to < 0 || to >= prev.length) return prev;
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  }, []);
+
+  const routeStops = useMemo(() => [
+    { key: "start", label: "Start", value: startInput },
+    ...viaInputs.map((value, index) => ({ key: index, label: `Stop ${index + 1}`, value })),
+    { key: "end", label: "End", value: endInput },
+  ]
+    .map((stop) => ({ ...stop, coords: parseLatLng(stop.value) || placeCoords[stop.value.trim()] }))
+    .filter((stop) => stop.coords), [startInput, endInput, viaInputs, placeCoords]);
+
+  const handleStopDrag = useCallback((key, latlng) => {
+    const value = `${latlng.lat.toFixed(6)},${latlng.lng.toFixed(6)}`;
+    const nextStart = key === "start" ? value : startInput;
+    const nextEnd = key === "end" ? value : endInput;
+    const nextVia = typeof key === "number" ? viaInputs.map((v, i) => (i === key ? value : v)) : viaInputs;
+
+    setStartInput(nextStart);
+    setEndInput(nextEnd);
+    setViaInputs(nextVia);
+    if (routeGeo) fetchRoute(nextStart, nextEnd, { via: nextVia, profile: travelProfile });
+  }, [startInput, endInput, viaInputs, routeGeo, travelProfile, fetchRoute]);
+
+  const handleStepSelect = useCallback((key, step) => {
+    const [lng, lat] = step.maneuver.location;
+    setActiveStep({ key, coords: [lat, lng], instruction: step.instruction });
+    flyTo([lat, lng], 18, 0.8);
+  }, [flyTo]);
+
+  const handleProfileChange = useCallback((profile) => {
+    setTravelProfile(profile);
+    if (routeGeo) fetchRoute(startInput, endInput, { via: viaInputs, profile });
+  }, [startInput, endInput, viaInputs, routeGeo, fetchRoute]);
+
+  // Routes already on screen may now run through the changed closure, so they are requested again
+  const refreshAfterClosureChange = useCallback(async () => {
+    await fetchClosures();
+    if (routeGeo) fetchRoute(startInput, endInput, { via: viaInputs, profile: travelProfile });
+  }, [fetchClosures, routeGeo, fetchRoute, startInput, endInput, viaInputs, travelProfile]);
+
+  const closureAuth = useMemo(
+    () => (closureToken.trim() ? { Authorization: `Bearer ${closureToken.trim()}` } : {}),
+    [closureToken]
+  );
+
+  const saveClosure = useCallback(async (fields) => {
+    if (!closureDrawing) return false;
+    const coords = closureDrawing.points.map(([lat, lng]) => [lng, lat]);
+    const geometry = closureDrawing.mode === "area"
+      ? { type: "Polygon", coordinates: [[...coords, coords[0]]] }
+      : { type: "LineString", coordinates: coords };
+
+    setClosureSaving(true);
+    setClosureError("");
+    try {
+      const res = await fetch(`${API_BASE}/closures`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...closureAuth },
+        body: JSON.stringify({ ...fields, geometry }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setClosureError(res.status === 401
+          ? "Enter a valid editor token to save closures"
+          : data?.details || data?.error || `Saving closure failed (status ${res.status})`);
+        return false;
+      }
+      if (data.properties?.closed_edges && !Object.values(data.properties.closed_edges).some(Boolean)) {
+        setClosureError("Saved, but no road lies along or inside it");
+      }
+      setClosureDrawing(null);
+      await refreshAfterClosureChange();
+      return true;
+    } catch (error) {
+      console.error("[Closures] save error", error);
+      setClosureError("Saving closure failed");
+      return false;
+    } finally {
+      setClosureSaving(false);
+    }
+  }, [API_BASE, closureDrawing, closureAuth, refreshAfterClosureChange]);
+
+  const deleteClosure = useCallback(async (id) => {
+    setClosureError("");
+    try {
+      const res = await fetch(`${API_BASE}/closures/${id}`, { method: "DELETE", headers: closureAuth });
+      if (!res.ok && res.status !== 404) {
+        const data = await res.json().catch(() => null);
+        setClosureError(res.status === 401
+          ? "Enter a valid editor token to remove closures"
+          : data?.details || data?.error || `Removing closure failed (status ${res.status})`);
+        return;
+      }
+      await refreshAfterClosureChange();
+    } catch (error) {
+      console.error("[Closures] delete error", error);
+      setClosureError("Removing closure failed");
+    }
+  }, [API_BASE, closureAuth, refreshAfterClosureChange]);
+
+  const fetchIsochrones = useCallback(async (coords, minutes, profile) => {
+    setIsochroneLoading(true);
+    setIsochroneError("");
+
+    try {
+      const url = `${API_BASE}/isochrone?lat=${coords[0]}&lng=${coords[1]}&profile=${profile}&minutes=${encodeURIComponent(minutes)}`;
+      const res = await fetch(url);
+      const data = await res.json();
+      if (!res.ok) {
+        setIsochroneError(data?.details || data?.error || `Isochrone failed (status ${res.status})`);
+        return;
+      }
+      setIsochrones(data);
+    } catch (error) {
+      console.error("[Isochrone] error", error);
+      setIsochroneError("Isochrone request failed");
+    } finally {
+      setIsochroneLoading(false);
+    }
+  }, [API_BASE]);
+
+  const fetchCoverage = useCallback(async ({ category, grid, cellSize }) => {
+    setCoverageLoading(true);
+    setCoverageError("");
+
+    try {
+      const url = `${API_BASE}/coverage-gaps?category=${encodeURIComponent(category)}&grid=${grid}&cellSize=${cellSize}`;
+      const res = await fetch(url);
+      const data = await res.json();
+      if (!res.ok) {
+        setCoverageError(data?.details || data?.error || `Coverage analysis failed (status ${res.status})`);
+        return;
+      }
+      setCoverage(data);
+    } catch (error) {
+      console.error("[Coverage] error", error);
+      setCoverageError("Coverage request failed");
+    } finally {
+      setCoverageLoading(false);
+    }
+  }, [API_BASE]);
+
+  useEffect(() => {
+    if (!nearbyOrigin) return;
+
+    const fetchNearby = async () => {
+      setNearbyLoading(true);
+      setNearbyError("");
+
+      try {
+        const [lat, lng] = nearbyOrigin;
+        const params = new URLSearchParams({ lat, lng, [nearbyFilters.mode]: nearbyFilters.value });
+        if (nearbyFilters.category) params.set("category", nearbyFilters.category);
+        if (nearbyFilters.amenity.trim()) params.set("amenity", nearbyFilters.amenity.trim());
+
+        const url = `${API_BASE}/nearby?${params}`;
+        const res = await fetch(url);
+        const data = await res.json();
+        if (!res.ok) {
+          setNearbyError(data?.details || data?.error || `Nearby search failed (status ${res.status})`);
+          return;
+        }
+        setNearby(data.results);
+        setNearbyTotal(data.total ?? null);
+      } catch (error) {
+        console.error("[Nearby] error", error);
+        setNearbyError("Nearby request failed");
+      } finally {
+        setNearbyLoading(false);
+      }
+    };
+
+    fetchNearby();
+  }, [API_BASE, nearbyOrigin, nearbyFilters]);
+
+  const closeNearby = useCallback(() => {
+    setNearbyOrigin(null);
+    setNearby(null);
+    setNearbyTotal(null);
+    setNearbyError("");
+  }, []);
 
   useEffect(() => {
     const map = mapRef.current;
@@ -522,23 +1049,7 @@ export default function MapView() {
   };
 
   const getPOIIcon = useCallback((type) => {
-    const colors = {
-      Education: "#1E90FF",
-      Health: "#E63946",
-      Commercial: "#FF8C00",
-      Religious: "#6A4C93",
-      Recreation: "#2ECC71",
-      Transport: "#34495E",
-      Government: "#F1C40F",
-      Food: "#FF4D6D",
-      Unknown: "#95A5A6",
-    };
-
-    const normalized = (type || "").toString().trim();
-    const color =
-      colors[normalized] ||
-      colors[normalized.toLowerCase()?.replace(/\b\w/g, (c) => c.toUpperCase())] ||
-      colors.Unknown;
+    const color = categoryColor(type);
 
     return L.divIcon({
       className: "custom-poi-icon",
@@ -548,19 +1059,79 @@ export default function MapView() {
     });
   }, []);
 
-  const healthBufferStyle = useCallback(() => ({
-    color: "#0B3D2E",      
-    fillColor: "#0B3D2E",
-    fillOpacity: 0.18,
-    weight: 1,
-    dashArray: "3,3"
+  const serviceAreaStyle = useCallback(() => {
+    const color = categoryColor(serviceAreas?.properties?.category || serviceAreaParams.category);
+    return {
+      color,
+      fillColor: color,
+      fillOpacity: 0.18,
+      weight: 1,
+      dashArray: "3,3"
+    };
+  }, [serviceAreas, serviceAreaParams.category]);
+
+  const coverageStyle = useCallback((feature) => ({
+    color: "#ffffff",
+    weight: 0.5,
+    fillColor: coverageColor(feature.properties.distance_km),
+    fillOpacity: 0.55,
   }), []);
 
+  const isochroneStyle = useCallback((feature) => {
+    const thresholds = (isochrones?.features || []).map((f) => f.properties.minutes).sort((a, b) => a - b);
+    const color = ISOCHRONE_COLORS[thresholds.indexOf(feature.properties.minutes)] || ISOCHRONE_COLORS[0];
+    return {
+      color,
+      fillColor: color,
+      fillOpacity: 0.2,
+      weight: 1.5,
+    };
+  }, [isochrones]);
+
+  const closureStyle = useCallback((feature) => {
+    const active = feature.properties.status === "active";
+    return {
+      color: active ? "#dc2626" : "#d97706",
+      fillColor: active ? "#dc2626" : "#d97706",
+      fillOpacity: active ? 0.2 : 0.08,
+      weight: feature.geometry.type.includes("Line") ? 6 : 2,
+      opacity: active ? 0.85 : 0.6,
+      dashArray: active ? null : "6,6"
+    };
+  }, []);
+
+  // Expired closures stay listed in the panel but are not drawn
+  const closureLayer = useMemo(() => closures && {
+    ...closures,
+    features: closures.features.filter((f) => f.properties.status !== "expired"),
+  }, [closures]);
+
+  // Dashed lines from route stops to where the route actually starts, ends or passes on the road
+  const snapConnectors = useMemo(() => {
+    const connectors = (routeSummary?.waypoints || [])
+      .filter((wp) => wp.input_location && wp.snap_distance >= MIN_CONNECTOR_M)
+      .map((wp) => ({
+        from: [wp.input_location[1], wp.input_location[0]],
+        to: [wp.location[1], wp.location[0]],
+        road: wp.road,
+        distance: wp.snap_distance,
+      }));
+    if (clickSnap && clickSnap.distance >= MIN_CONNECTOR_M) connectors.push(clickSnap);
+    return connectors;
+  }, [routeSummary, clickSnap]);
+
   const routeStyle = useCallback(() => ({
     color: "#0ea5e9", 
     weight: 5,
     opacity: 0.9
   }), []);
+
+  const alternativeRouteStyle = useCallback(() => ({
+    color: "#6b7280",
+    weight: 5,
+    opacity: 0.45,
+    dashArray: "1 8"
+  }), []);
   
   const highlightCircles = useMemo(() => {
     if (!selectedLocation) return null;
@@ -679,6 +1250,11 @@ export default function MapView() {
           <div style={{ color: "#4b5563", marginBottom: "2px" }}>
             {selectedLocation.result?.category || "N/A"}
           </div>
+          {selectedLocation.result?.address && (
+            <div dir="auto" style={{ color: "#374151", marginBottom: "2px" }}>
+              {selectedLocation.result.address}
+            </div>
+          )}
           {selectedLocation.result?.distance_km !== undefined && (
             <div style={{ color: "#6b7280", marginBottom: "2px" }}>
               Distance: {selectedLocation.result.distance_km.toFixed(2)} km
@@ -693,118 +1269,156 @@ export default function MapView() {
         </div>
       )}
 
+      <RoutePanel
+        startInput={startInput}
+        endInput={endInput}
+        viaInputs={viaInputs}
+        onStartChange={setStartInput}
+        onEndChange={setEndInput}
+        onViaChange={(index, value) => setViaInputs((prev) => prev.map((v, i) => (i === index ? value : v)))}
+        onSelectPlace={handleSelectPlace}
+        lang={nameLang}
+        near={viewportCenter}
+        onAddVia={() => setViaInputs((prev) => [...prev, ""])}
+        onRemoveVia={(index) => setViaInputs((prev) => prev.filter((_, i) => i !== index))}
+        onMoveVia={moveVia}
+        optimizeStops={optimizeStops}
+        onOptimizeChange={setOptimizeStops}
+        clickAssignTarget={clickAssignTarget}
+        onAssignTarget={setClickAssignTarget}
+        travelProfile={travelProfile}
+        onProfileChange={handleProfileChange}
+        onSubmit={() => fetchRoute(startInput, endInput, { via: viaInputs, optimize: optimizeStops, profile: travelProfile })}
+        routeLoading={routeLoading}
+        routeError={routeError}
+        routeSummary={routeSummary}
+        routeOptions={routeOptions}
+        selectedRoute={selectedRoute}
+        onSelectRoute={selectRoute}
+      />
+
+      <ItineraryPanel
+        legs={routeSummary?.legs}
+        activeStep={activeStep?.key}
+        onSelectStep={handleStepSelect}
+      />
+
       <div
         style={{
           position: "absolute",
-          top: "12px",
-          right: "12px",
+          top: "200px",
+          left: "12px",
           zIndex: 1200,
-          background: "rgba(255,255,255,0.95)",
-          border: "1px solid #e5e7eb",
-          borderRadius: "8px",
-          padding: "10px 12px",
-          boxShadow: "0 6px 20px rgba(0,0,0,0.12)",
-          width: "260px",
-          fontSize: "14px",
-          color: "#111827",
+          display: "flex",
+          flexDirection: "column",
+          gap: "8px",
+          maxHeight: "calc(100% - 220px)",
+          overflowY: "auto",
         }}
       >
-        <div style={{ fontWeight: 700, marginBottom: "8px" }}>Route (OSRM)</div>
-
-        <label style={{ display: "block", marginBottom: "6px", color: "#374151", fontWeight: 600 }}>Start (lat,lng)</label>
-        <input
-          type="text"
-          value={startInput}
-          onChange={(e) => setStartInput(e.target.value)}
-          placeholder="33.6844,73.0479"
-          style={{
-            width: "100%",
-            padding: "8px",
-            border: "1px solid #d1d5db",
-            borderRadius: "6px",
-            marginBottom: "8px",
-            fontSize: "13px"
-          }}
-        />
-
-        <label style={{ display: "block", marginBottom: "6px", color: "#374151", fontWeight: 600 }}>End (lat,lng)</label>
-        <input
-          type="text"
-          value={endInput}
-          onChange={(e) => setEndInput(e.target.value)}
-          placeholder="33.7000,73.0500"
-          style={{
-            width: "100%",
-            padding: "8px",
-            border: "1px solid #d1d5db",
-            borderRadius: "6px",
-            marginBottom: "8px",
-            fontSize: "13px"
-          }}
-        />
-
-        <div style={{ display: "flex", gap: "8px", marginBottom: "8px" }}>
-          <button
-            onClick={() => setClickAssignTarget('start')}
-            style={{
-              flex: 1,
-              padding: "8px",
-              background: clickAssignTarget === 'start' ? "#1d4ed8" : "#2563eb",
-              color: "white",
-              border: "none",
-              borderRadius: "6px",
-              cursor: "pointer",
-              fontSize: "13px"
-            }}
-          >
-            Set Start by Pin
-          </button>
-          <button
-            onClick={() => setClickAssignTarget('end')}
-            style={{
-              flex: 1,
-              padding: "8px",
-              background: clickAssignTarget === 'end' ? "#047857" : "#10b981",
-              color: "white",
-              border: "none",
-              borderRadius: "6px",
-              cursor: "pointer",
-              fontSize: "13px"
-            }}
-          >
-            Set End by Pin
-          </button>
-        </div>
-
-        <button
-          onClick={() => fetchRoute(startInput, endInput)}
-          disabled={routeLoading}
+        <div
           style={{
-            width: "100%",
-            padding: "10px",
-            background: "#0ea5e9",
-            color: "white",
-            border: "none",
+            display: "flex",
+            background: "rgba(255,255,255,0.95)",
+            border: "1px solid #e5e7eb",
             borderRadius: "8px",
-            cursor: "pointer",
-            fontWeight: 700,
-            fontSize: "14px",
-            opacity: routeLoading ? 0.7 : 1
+            boxShadow: "0 6px 20px rgba(0,0,0,0.12)",
+            overflow: "hidden",
+            width: "244px",
+            fontSize: "13px",
           }}
         >
-          {routeLoading ? "Routing..." : "Get Route"}
-        </button>
-
-        {routeError && (
-          <div style={{ color: "#e11d48", marginTop: "6px", fontSize: "12px" }}>
-            {routeError}
-          </div>
+          {[["clusters", "POI clusters"], ["tiles", "Vector tiles"]].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => setPoiLayerMode(mode)}
+              style={{
+                flex: 1,
+                padding: "6px",
+                border: "none",
+                background: poiLayerMode === mode ? "#0B3D2E" : "transparent",
+                color: poiLayerMode === mode ? "white" : "#111827",
+                cursor: "pointer",
+                fontSize: "13px"
+              }}
+            >
+              {label}
+            </button>
+          ))}
+          <select
+            value={nameLang}
+            onChange={(e) => setNameLang(e.target.value)}
+            title="Language for place names"
+            style={{ border: "none", borderLeft: "1px solid #e5e7eb", background: "transparent", fontSize: "13px", padding: "0 4px" }}
+          >
+            <option value="">Local</option>
+            <option value="en">English</option>
+            <option value="ur">اردو</option>
+          </select>
+        </div>
+        {nearbyOrigin && (
+          <NearbyPanel
+            categories={poiCategories}
+            filters={nearbyFilters}
+            onFiltersChange={setNearbyFilters}
+            results={nearby}
+            total={nearbyTotal}
+            loading={nearbyLoading}
+            error={nearbyError}
+            onSelectResult={(poi) => handleLocationSelect([poi.coordinates[1], poi.coordinates[0]], poi)}
+            onClose={closeNearby}
+          />
         )}
+        <ServiceAreaPanel
+          categories={poiCategories}
+          params={serviceAreaParams}
+          onChange={setServiceAreaParams}
+          loading={serviceAreaLoading}
+          error={serviceAreaError}
+          poiCount={serviceAreas?.properties?.poi_count ?? null}
+        />
+        <CoveragePanel
+          categories={poiCategories}
+          onCompute={fetchCoverage}
+          onClear={() => setCoverage(null)}
+          loading={coverageLoading}
+          error={coverageError}
+          summary={coverage?.properties?.summary}
+        />
+        <ClosuresPanel
+          closures={closures?.features || []}
+          visible={closuresVisible}
+          onVisibleChange={setClosuresVisible}
+          drawing={closureDrawing}
+          onStartDrawing={(mode) => {
+            setClosureError("");
+            setClosureDrawing({ mode, points: [] });
+          }}
+          onUndoPoint={() => setClosureDrawing((prev) => prev && { ...prev, points: prev.points.slice(0, -1) })}
+          onCancelDrawing={() => setClosureDrawing(null)}
+          onSave={saveClosure}
+          onDelete={deleteClosure}
+          saving={closureSaving}
+          error={closureError}
+          token={closureToken}
+          onTokenChange={setClosureToken}
+        />
       </div>
 
+      <IsochronePanel
+        selectedLocation={selectedLocation}
+        onCompute={fetchIsochrones}
+        onClear={() => setIsochrones(null)}
+        loading={isochroneLoading}
+        error={isochroneError}
+        hasResult={!!isochrones}
+      />
+
       <SearchBar 
         onSelectLocation={handleLocationSelect}
         map={window.leafletMapInstance}
+        lang={nameLang}
+        near={viewportCenter}
       />
       
     <MapContainer
@@ -835,9 +1449,19 @@ export default function MapView() {
 
       <MapboxVectorLayer />
 
-      <MapClickHandler onMapClick={triggerReverseGeocode} />
+      {poiLayerMode === "tiles" && <LocalVectorLayer url={`${API_BASE}/tiles/{z}/{x}/{y}.pbf`} lang={nameLang} />}
 
-      {boundary && (
+      {closureDrawing ? (
+        <ClosureDrawHandler
+          onAddPoint={(point) => setClosureDrawing((prev) => prev && { ...prev, points: [...prev.points, point] })}
+        />
+      ) : (
+        <MapClickHandler onMapClick={triggerReverseGeocode} />
+      )}
+
+      <ViewportWatcher onViewportChange={setViewport} />
+
+      {boundary && poiLayerMode !== "tiles" && (
         <GeoJSON
           data={boundary}
           style={boundaryStyle}
@@ -845,24 +1469,157 @@ export default function MapView() {
         />
       )}
 
-      {healthBuffers && (
+      {coverage && (
         <GeoJSON
-          data={healthBuffers}
-          style={healthBufferStyle}
+          key={JSON.stringify(coverage.properties)}
+          data={coverage}
+          style={coverageStyle}
+          onEachFeature={(feature, layer) => {
+            layer.bindTooltip(
+              `${feature.properties.distance_km} km to ${feature.properties.nearest_name}`,
+              { sticky: true }
+            );
+          }}
+        />
+      )}
+
+      {serviceAreas && (
+        <GeoJSON
+          key={JSON.stringify(serviceAreas.properties)}
+          data={serviceAreas}
+          style={serviceAreaStyle}
+          interactive={false}
+        />
+      )}
+
+      {isochrones && (
+        <GeoJSON
+          key={`${JSON.stringify(isochrones.properties)}-${isochrones.features.map((f) => f.properties.minutes).join(",")}`}
+          data={isochrones}
+          style={isochroneStyle}
           interactive={false}
         />
       )}
 
+      {closuresVisible && closureLayer && (
+        <GeoJSON
+          key={closureLayer.features.map((f) => `${f.properties.id}:${f.properties.status}`).join(",")}
+          data={closureLayer}
+          style={closureStyle}
+          onEachFeature={(feature, layer) => {
+            const { name, reason, status } = feature.properties;
+            layer.bindTooltip(`${name}${reason ? ` (${reason})` : ""}, ${status}`, { sticky: true });
+          }}
+        />
+      )}
+
+      {closureDrawing && closureDrawing.points.length > 1 && (
+        closureDrawing.mode === "area" ? (
+          <Polygon positions={closureDrawing.points} pathOptions={{ color: "#dc2626", dashArray: "4,4", fillOpacity: 0.1 }} />
+        ) : (
+          <Polyline positions={closureDrawing.points} pathOptions={{ color: "#dc2626", weight: 6, dashArray: "4,8" }} />
+        )
+      )}
+      {closureDrawing?.points.map((point, index) => (
+        <CircleMarker
+          key={`closure-point-${index}`}
+          center={point}
+          radius={4}
+          interactive={false}
+          pathOptions={{ color: "#dc2626", fillColor: "white", fillOpacity: 1, weight: 2 }}
+        />
+      ))}
+
+      {routeGeo && routeOptions.map((option, index) => index !== selectedRoute && (
+        <GeoJSON
+          key={`alt-${index}-${selectedRoute}`}
+          data={routeCollection(option)}
+          style={alternativeRouteStyle}
+          eventHandlers={{ click: () => selectRoute(index) }}
+        >
+          <Tooltip sticky>
+            {formatDistance(option.distance)} · {formatDuration(option.duration)} (click to use)
+          </Tooltip>
+        </GeoJSON>
+      ))}
+
       {routeGeo && (
         <GeoJSON
+          key={`route-${selectedRoute}`}
           data={routeGeo}
           style={routeStyle}
           interactive={false}
         />
       )}
 
-      {pois.map((poi, idx) => (
-        <Marker key={idx} position={poi.coords} icon={getPOIIcon(poi.type)}>
+      {snapConnectors.map((connector, index) => (
+        <Polyline
+          key={`snap-${index}-${connector.from.join(",")}`}
+          positions={[connector.from, connector.to]}
+          pathOptions={{ color: "#374151", weight: 2, dashArray: "4,6", opacity: 0.8 }}
+        >
+          <Tooltip sticky>
+            {formatDistance(connector.distance)} to {connector.road || "the nearest road"}
+          </Tooltip>
+        </Polyline>
+      ))}
+
+      {nearbyOrigin && nearby?.map((poi) => (
+        <CircleMarker
+          key={`nearby-${poi.id}-${poi.coordinates.join(",")}`}
+          center={[poi.coordinates[1], poi.coordinates[0]]}
+          radius={7}
+          bubblingMouseEvents={false}
+          pathOptions={{
+            color: "#111827",
+            fillColor: categoryColor(poi.category),
+            fillOpacity: 0.9,
+            weight: 2
+          }}
+          eventHandlers={{
+            click: () => handleLocationSelect([poi.coordinates[1], poi.coordinates[0]], poi)
+          }}
+        >
+          <Popup>
+            <b>{poi.name}</b>
+            <br />
+            {poi.distance_km} km {poi.direction}
+          </Popup>
+        </CircleMarker>
+      ))}
+
+      {activeStep && (
+        <CircleMarker
+          center={activeStep.coords}
+          radius={8}
+          pathOptions={{
+            color: "#ffffff",
+            fillColor: "#0ea5e9",
+            fillOpacity: 1,
+            weight: 3
+          }}
+        >
+          <Popup>{activeStep.instruction}</Popup>
+        </CircleMarker>
+      )}
+
+      {routeStops.map((stop) => (
+        <Marker
+          key={`stop-${stop.key}`}
+          position={stop.coords}
+          draggable={true}
+          eventHandlers={{
+            dragend: (e) => handleStopDrag(stop.key, e.target.getLatLng()),
+          }}
+        >
+          <Popup>{stop.label}</Popup>
+        </Marker>
+      ))}
+
+      {poiLayerMode === "clusters" && pois.map((poi, idx) => poi.cluster ? (
+        <ClusterMarker key={`cluster-${poi.coords.join(",")}`} cluster={poi} />
+      ) : (
+        <Marker key={poi.id ?? idx} position={poi.coords} icon={getPOIIcon(poi.type)}>
           <Popup>
             <div>
               <b>{poi.name}</b>
@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import { categoryColor } from "../utils/colors";
+import { formatDistance } from "../utils/format";
+
+const fieldStyle = {
+  padding: "6px",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  fontSize: "13px"
+};
+
+const NearbyPanel = ({ categories, filters, onFiltersChange, results, total, loading, error, onSelectResult, onClose }) => {
+  const [draft, setDraft] = useState(filters);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.95)",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        padding: "10px 12px",
+        boxShadow: "0 6px 20px rgba(0,0,0,0.12)",
+        width: "220px",
+        fontSize: "13px",
+        color: "#111827",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+        <span style={{ fontWeight: 700 }}>What's nearby</span>
+        <button
+          onClick={onClose}
+          title="Hide nearby results"
+          style={{ border: "none", background: "transparent", cursor: "pointer", color: "#6b7280", fontSize: "13px" }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <select
+        value={draft.category}
+        onChange={(e) => update({ category: e.target.value })}
+        style={{ ...fieldStyle, width: "100%", marginBottom: "6px" }}
+      >
+        <option value="">All categories</option>
+        {categories.map((c) => (
+          <option key={c.name} value={c.name}>
+            {c.name} ({c.count})
+          </option>
+        ))}
+      </select>
+
+      <input
+        type="text"
+        value={draft.amenity}
+        onChange={(e) => update({ amenity: e.target.value })}
+        placeholder="Amenity, e.g. pharmacy"
+        style={{ ...fieldStyle, width: "100%", boxSizing: "border-box", marginBottom: "6px" }}
+      />
+
+      <div style={{ display: "flex", gap: "6px", marginBottom: "8px" }}>
+        <input
+          type="number"
+          min="0"
+          step={draft.mode === "radius" ? 0.1 : 1}
+          value={draft.value}
+          onChange={(e) => update({ value: e.target.value })}
+          style={{ ...fieldStyle, width: "70px" }}
+        />
+        <select
+          value={draft.mode}
+          onChange={(e) => update({ mode: e.target.value, value: e.target.value === "radius" ? 1 : 5 })}
+          style={{ ...fieldStyle, flex: 1 }}
+        >
+          <option value="k">closest</option>
+          <option value="radius">km radius</option>
+        </select>
+      </div>
+
+      <button
+        onClick={() => onFiltersChange(draft)}
+        disabled={loading}
+        style={{
+          width: "100%",
+          padding: "8px",
+          background: "#0B3D2E",
+          color: "white",
+          border: "none",
+          borderRadius: "6px",
+          cursor: "pointer",
+          fontSize: "13px",
+          opacity: loading ? 0.7 : 1
+        }}
+      >
+        {loading ? "Searching..." : "Apply"}
+      </button>
+
+      {error && (
+        <div style={{ color: "#e11d48", marginTop: "6px", fontSize: "12px" }}>
+          {error}
+        </div>
+      )}
+
+      {results && !error && (
+        results.length === 0 ? (
+          <div style={{ color: "#6b7280", marginTop: "6px", fontSize: "12px" }}>
+            Nothing matching nearby
+          </div>
+        ) : (
+          <ul style={{ listStyle: "none", margin: "8px 0 0", padding: 0, maxHeight: "220px", overflowY: "auto" }}>
+            {results.map((poi) => (
+              <li
+                key={`${poi.id}-${poi.coordinates.join(",")}`}
+                onClick={() => onSelectResult(poi)}
+                style={{ padding: "6px 0", borderTop: "1px solid #f3f4f6", cursor: "pointer" }}
+              >
+                <div style={{ display: "flex", alignItems: "center", gap: "6px", fontWeight: 600 }}>
+                  <span
+                    style={{
+                      width: "8px",
+                      height: "8px",
+                      borderRadius: "50%",
+                      background: categoryColor(poi.category),
+                      flexShrink: 0
+                    }}
+                  />
+                  <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{poi.name}</span>
+                </div>
+                <div style={{ color: "#6b7280", fontSize: "12px" }}>
+                  {formatDistance(poi.distance_km * 1000)} {poi.direction} · {poi.amenity !== "N/A" ? poi.amenity : poi.category}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+      {results && !error && total > results.length && (
+        <div style={{ color: "#6b7280", marginTop: "6px", fontSize: "12px" }}>
+          Closest {results.length} of {total} within {filters.value} km
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NearbyPanel;
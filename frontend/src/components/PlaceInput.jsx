@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { getApiBase } from "../utils/api";
+
+const LAT_LNG = /^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/;
+
+// Text input for a route stop with place suggestions from /search. Coordinates and POI ids
+// ("poi:123") are passed through untouched; the backend resolves whatever text is left
+const PlaceInput = ({ value, onChange, onSelectPlace, placeholder, lang, near, style }) => {
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [typing, setTyping] = useState(false);
+  const wrapperRef = useRef(null);
+  const nearRef = useRef(near);
+  nearRef.current = near;
+
+  const API_BASE = useMemo(() => getApiBase(), []);
+
+  useEffect(() => {
+    const text = (value || "").trim();
+    if (!typing || text.length < 2 || LAT_LNG.test(text) || /^poi:/i.test(text)) {
+      setResults([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const nearParam = nearRef.current ? `&near=${nearRef.current.map((v) => v.toFixed(5)).join(",")}` : "";
+        const langParam = lang ? `&lang=${lang}` : "";
+        const res = await fetch(`${API_BASE}/search?q=${encodeURIComponent(text)}&limit=6${nearParam}${langParam}`, {
+          signal: controller.signal,
+        });
+        if (!res.ok) throw new Error(`status ${res.status}`);
+        const data = await res.json();
+        setResults(data.results || []);
+      } catch (error) {
+        if (error.name !== "AbortError") {
+          console.error("[PlaceInput] search error", error);
+          setResults([]);
+        }
+      }
+    }, 300);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [API_BASE, value, lang, typing]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const handleSelect = (result) => {
+    const [lng, lat] = result.coordinates;
+    setTyping(false);
+    setOpen(false);
+    setResults([]);
+    onSelectPlace(result.name, [lat, lng]);
+  };
+
+  return (
+    <div ref={wrapperRef} style={{ position: "relative" }}>
+      <input
+        type="text"
+        value={value}
+        dir="auto"
+        onChange={(e) => {
+          setTyping(true);
+          setOpen(true);
+          onChange(e.target.value);
+        }}
+        onFocus={() => setOpen(true)}
+        placeholder={placeholder}
+        style={style}
+      />
+      {open && results.length > 0 && (
+        <div
+          style={{
+            position: "absolute",
+            top: "100%",
+            left: 0,
+            right: 0,
+            marginTop: "-6px",
+            background: "white",
+            border: "1px solid #e5e7eb",
+            borderRadius: "6px",
+            boxShadow: "0 4px 6px rgba(0, 0, 0, 0.1)",
+            maxHeight: "200px",
+            overflowY: "auto",
+            zIndex: 10,
+          }}
+        >
+          {results.map((result, index) => (
+            <div
+              key={index}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => handleSelect(result)}
+              style={{
+                padding: "6px 8px",
+                cursor: "pointer",
+                borderBottom: index < results.length - 1 ? "1px solid #f3f4f6" : "none",
+              }}
+              onMouseEnter={(e) => { e.currentTarget.style.backgroundColor = "#f3f4f6"; }}
+              onMouseLeave={(e) => { e.currentTarget.style.backgroundColor = "white"; }}
+            >
+              <div dir="auto" style={{ fontWeight: 600, fontSize: "13px", color: "#1f2937" }}>{result.name}</div>
+              <div style={{ fontSize: "11px", color: "#6b7280" }}>
+                {result.category}
+                {result.distance_km !== undefined && ` · ${result.distance_km.toFixed(1)} km`}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaceInput;
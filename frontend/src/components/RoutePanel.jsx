@@ -0,0 +1,332 @@
+import React, { useState } from "react";
+import { formatDistance, formatDuration } from "../utils/format";
+import PlaceInput from "./PlaceInput";
+
+const inputStyle = {
+  width: "100%",
+  padding: "8px",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  marginBottom: "8px",
+  fontSize: "13px"
+};
+
+const labelStyle = { display: "block", marginBottom: "6px", color: "#374151", fontWeight: 600 };
+
+const smallButtonStyle = {
+  padding: "4px 6px",
+  background: "#f3f4f6",
+  border: "1px solid #d1d5db",
+  borderRadius: "4px",
+  cursor: "pointer",
+  fontSize: "12px"
+};
+
+const TRAVEL_PROFILES = [
+  { id: "driving", label: "🚗 Drive" },
+  { id: "cycling", label: "🚲 Cycle" },
+  { id: "walking", label: "🚶 Walk" },
+];
+
+const RoutePanel = ({
+  startInput,
+  endInput,
+  viaInputs,
+  onStartChange,
+  onEndChange,
+  onViaChange,
+  onSelectPlace,
+  lang,
+  near,
+  onAddVia,
+  onRemoveVia,
+  onMoveVia,
+  optimizeStops,
+  onOptimizeChange,
+  clickAssignTarget,
+  onAssignTarget,
+  travelProfile,
+  onProfileChange,
+  onSubmit,
+  routeLoading,
+  routeError,
+  routeSummary,
+  routeOptions = [],
+  selectedRoute = 0,
+  onSelectRoute,
+}) => {
+  const [dragIndex, setDragIndex] = useState(null);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: "12px",
+        right: "12px",
+        zIndex: 1200,
+        background: "rgba(255,255,255,0.95)",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        padding: "10px 12px",
+        boxShadow: "0 6px 20px rgba(0,0,0,0.12)",
+        width: "260px",
+        maxHeight: "calc(100% - 24px)",
+        overflowY: "auto",
+        fontSize: "14px",
+        color: "#111827",
+      }}
+    >
+      <div style={{ fontWeight: 700, marginBottom: "8px" }}>Route</div>
+
+      <div style={{ display: "flex", marginBottom: "8px", border: "1px solid #d1d5db", borderRadius: "6px", overflow: "hidden" }}>
+        {TRAVEL_PROFILES.map((profile) => (
+          <button
+            key={profile.id}
+            onClick={() => onProfileChange(profile.id)}
+            disabled={routeLoading}
+            style={{
+              flex: 1,
+              padding: "6px 4px",
+              background: travelProfile === profile.id ? "#0ea5e9" : "white",
+              color: travelProfile === profile.id ? "white" : "#374151",
+              border: "none",
+              cursor: "pointer",
+              fontSize: "12px",
+              fontWeight: 600
+            }}
+          >
+            {profile.label}
+          </button>
+        ))}
+      </div>
+
+      <label style={labelStyle}>Start</label>
+      <PlaceInput
+        value={startInput}
+        onChange={onStartChange}
+        onSelectPlace={(name, coords) => onSelectPlace("start", name, coords)}
+        placeholder="Place, address or lat,lng"
+        lang={lang}
+        near={near}
+        style={inputStyle}
+      />
+
+      {viaInputs.map((value, index) => (
+        <div
+          key={index}
+          draggable
+          onDragStart={() => setDragIndex(index)}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={() => {
+            if (dragIndex !== null && dragIndex !== index) onMoveVia(dragIndex, index);
+            setDragIndex(null);
+          }}
+          style={{
+            marginBottom: "6px",
+            padding: "6px",
+            border: "1px dashed #d1d5db",
+            borderRadius: "6px",
+            background: dragIndex === index ? "#eff6ff" : "transparent",
+            cursor: "grab"
+          }}
+        >
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: "4px" }}>
+            <span style={{ color: "#374151", fontWeight: 600, fontSize: "13px" }}>☰ Stop {index + 1}</span>
+            <span style={{ display: "flex", gap: "4px" }}>
+              <button
+                onClick={() => onMoveVia(index, index - 1)}
+                disabled={index === 0}
+                style={smallButtonStyle}
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => onMoveVia(index, index + 1)}
+                disabled={index === viaInputs.length - 1}
+                style={smallButtonStyle}
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => onAssignTarget(index)}
+                style={{
+                  ...smallButtonStyle,
+                  background: clickAssignTarget === index ? "#fde68a" : smallButtonStyle.background
+                }}
+                title="Set by pin"
+              >
+                📍
+              </button>
+              <button onClick={() => onRemoveVia(index)} style={smallButtonStyle} title="Remove stop">
+                ✕
+              </button>
+            </span>
+          </div>
+          <PlaceInput
+            value={value}
+            onChange={(next) => onViaChange(index, next)}
+            onSelectPlace={(name, coords) => onSelectPlace(index, name, coords)}
+            placeholder="Place or lat,lng"
+            lang={lang}
+            near={near}
+            style={{ ...inputStyle, marginBottom: 0 }}
+          />
+        </div>
+      ))}
+
+      <button
+        onClick={onAddVia}
+        style={{ ...smallButtonStyle, width: "100%", marginBottom: "8px", padding: "6px" }}
+      >
+        + Add stop
+      </button>
+
+      <label style={labelStyle}>End</label>
+      <PlaceInput
+        value={endInput}
+        onChange={onEndChange}
+        onSelectPlace={(name, coords) => onSelectPlace("end", name, coords)}
+        placeholder="Place, address or lat,lng"
+        lang={lang}
+        near={near}
+        style={inputStyle}
+      />
+
+      <div style={{ display: "flex", gap: "8px", marginBottom: "8px" }}>
+        <button
+          onClick={() => onAssignTarget('start')}
+          style={{
+            flex: 1,
+            padding: "8px",
+            background: clickAssignTarget === 'start' ? "#1d4ed8" : "#2563eb",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+          }}
+        >
+          Set Start by Pin
+        </button>
+        <button
+          onClick={() => onAssignTarget('end')}
+          style={{
+            flex: 1,
+            padding: "8px",
+            background: clickAssignTarget === 'end' ? "#047857" : "#10b981",
+            color: "white",
+            border: "none",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "13px"
+          }}
+        >
+          Set End by Pin
+        </button>
+      </div>
+
+      {viaInputs.length > 1 && (
+        <label style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "8px", fontSize: "13px", color: "#374151" }}>
+          <input
+            type="checkbox"
+            checked={optimizeStops}
+            onChange={(e) => onOptimizeChange(e.target.checked)}
+          />
+          Optimize stop order
+        </label>
+      )}
+
+      <button
+        onClick={onSubmit}
+        disabled={routeLoading}
+        style={{
+          width: "100%",
+          padding: "10px",
+          background: "#0ea5e9",
+          color: "white",
+          border: "none",
+          borderRadius: "8px",
+          cursor: "pointer",
+          fontWeight: 700,
+          fontSize: "14px",
+          opacity: routeLoading ? 0.7 : 1
+        }}
+      >
+        {routeLoading ? "Routing..." : "Get Route"}
+      </button>
+
+      {routeError && (
+        <div style={{ color: "#e11d48", marginTop: "6px", fontSize: "12px" }}>
+          {routeError}
+        </div>
+      )}
+
+      {routeSummary && (
+        <div style={{ marginTop: "8px", fontSize: "13px" }}>
+          <div style={{ fontWeight: 700, marginBottom: "4px" }}>
+            {formatDistance(routeSummary.distance)} · {formatDuration(routeSummary.duration)}
+          </div>
+          <div style={{ color: "#6b7280", marginBottom: "4px" }}>
+            ETA for {routeSummary.profile}
+          </div>
+          {routeSummary.warning && (
+            <div style={{ color: "#b45309", marginBottom: "4px", fontSize: "12px" }}>
+              {routeSummary.warning}
+            </div>
+          )}
+          {routeSummary.waypoints?.length > 1 && (
+            <div dir="auto" style={{ color: "#374151", marginBottom: "4px" }}>
+              {routeSummary.waypoints[0].name} → {routeSummary.waypoints[routeSummary.waypoints.length - 1].name}
+            </div>
+          )}
+          {routeOptions.length > 1 && (
+            <table style={{ width: "100%", borderCollapse: "collapse", margin: "6px 0", fontSize: "12px" }}>
+              <thead>
+                <tr style={{ color: "#6b7280", textAlign: "left" }}>
+                  <th style={{ fontWeight: 600 }}>Route</th>
+                  <th style={{ fontWeight: 600 }}>Distance</th>
+                  <th style={{ fontWeight: 600 }}>Time</th>
+                  <th style={{ fontWeight: 600 }} title="Share of the route shared with the fastest one">Shared</th>
+                </tr>
+              </thead>
+              <tbody>
+                {routeOptions.map((option, index) => {
+                  const extra = option.duration - routeOptions[0].duration;
+                  return (
+                    <tr
+                      key={index}
+                      onClick={() => onSelectRoute(index)}
+                      style={{
+                        cursor: "pointer",
+                        background: index === selectedRoute ? "#e0f2fe" : "transparent",
+                        fontWeight: index === selectedRoute ? 700 : 400
+                      }}
+                    >
+                      <td>{index === 0 ? "Fastest" : `Alt ${index}`}</td>
+                      <td>{formatDistance(option.distance)}</td>
+                      <td>
+                        {formatDuration(option.duration)}
+                        {index > 0 && <span style={{ color: "#b45309" }}> +{formatDuration(extra)}</span>}
+                      </td>
+                      <td>{index === 0 ? "—" : `${Math.round(option.overlap * 100)}%`}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          {routeSummary.legs?.length > 1 && routeSummary.legs.map((leg, index) => (
+            <div key={index} style={{ color: "#4b5563", display: "flex", justifyContent: "space-between" }}>
+              <span>Leg {index + 1}</span>
+              <span>{formatDistance(leg.distance)} · {formatDuration(leg.duration)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoutePanel;
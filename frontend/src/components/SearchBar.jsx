@@ -3,7 +3,7 @@ import React, { useState, useEffect, useRef, useMemo, useCallback } from "react"
 const getApiBase = () => 
   import.meta.env.VITE_DATA_BASE_URL?.replace('/data', '') ||  "http://localhost:5000"||  "https://mapify-it-task.onrender.com";
 
-const SearchBar = ({ onSelectLocation, map }) => {
+const SearchBar = ({ onSelectLocation, map, near, lang }) => {
   const [query, setQuery] = useState("");
   const [results, setResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
@@ -11,6 +11,9 @@ const SearchBar = ({ onSelectLocation, map }) => {
   const searchTimeoutRef = useRef(null);
   const resultsRef = useRef(null);
   const abortControllerRef = useRef(null);
+  // Read at request time, so panning the map doesn't re-run the search
+  const nearRef = useRef(near);
+  nearRef.current = near;
   
   const API_BASE = useMemo(() => getApiBase(), []);
 
@@ -31,8 +34,10 @@ const SearchBar = ({ onSelectLocation, map }) => {
     abortControllerRef.current = new AbortController();
     
     try {
+      const nearParam = nearRef.current ? `&near=${nearRef.current.map((v) => v.toFixed(5)).join(",")}` : "";
+      const langParam = lang ? `&lang=${lang}` : "";
       const response = await fetch(
-        `${API_BASE}/search?q=${encodeURIComponent(searchQuery)}`,
+        `${API_BASE}/search?q=${encodeURIComponent(searchQuery)}${nearParam}${langParam}`,
         { signal: abortControllerRef.current.signal }
       );
       
@@ -52,7 +57,7 @@ const SearchBar = ({ onSelectLocation, map }) => {
       setIsSearching(false);
       abortControllerRef.current = null;
     }
-  }, [API_BASE]);
+  }, [API_BASE, lang]);
 
   useEffect(() => {
     if (searchTimeoutRef.current) {
@@ -119,7 +124,7 @@ const SearchBar = ({ onSelectLocation, map }) => {
             setShowResults(true);
           }}
           onFocus={() => setShowResults(true)}
-          placeholder="Search for places in Islamabad..."
+          placeholder="Search places or addresses (e.g. Street 65, F-10/2)..."
           style={{
             width: "100%",
             padding: "12px 40px 12px 16px",
@@ -179,11 +184,12 @@ const SearchBar = ({ onSelectLocation, map }) => {
                 e.target.style.backgroundColor = "white";
               }}
             >
-              <div style={{ fontWeight: "600", color: "#1f2937", marginBottom: "4px" }}>
+              <div dir="auto" style={{ fontWeight: "600", color: "#1f2937", marginBottom: "4px" }}>
                 {result.name}
               </div>
               <div style={{ fontSize: "14px", color: "#6b7280" }}>
                 {result.category}
+                {result.distance_km !== undefined && ` · ${result.distance_km.toFixed(1)} km away`}
               </div>
             </div>
           ))}
@@ -0,0 +1,126 @@
+import React, { useState } from "react";
+
+const fieldStyle = {
+  padding: "6px",
+  border: "1px solid #d1d5db",
+  borderRadius: "6px",
+  fontSize: "13px"
+};
+
+const ServiceAreaPanel = ({ categories, params, onChange, loading, error, poiCount }) => {
+  const [draft, setDraft] = useState(params);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  return (
+    <div
+      style={{
+        background: "rgba(255,255,255,0.95)",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        padding: "10px 12px",
+        boxShadow: "0 6px 20px rgba(0,0,0,0.12)",
+        width: "220px",
+        fontSize: "13px",
+        color: "#111827",
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "8px" }}>
+        <span style={{ fontWeight: 700 }}>Service areas</span>
+        <input
+          type="checkbox"
+          checked={params.enabled}
+          onChange={(e) => onChange({ ...params, enabled: e.target.checked })}
+          title="Show layer"
+        />
+      </div>
+
+      <select
+        value={draft.category}
+        onChange={(e) => update({ category: e.target.value })}
+        style={{ ...fieldStyle, width: "100%", marginBottom: "6px" }}
+      >
+        {!categories.some((c) => c.name === draft.category) && (
+          <option value={draft.category}>{draft.category}</option>
+        )}
+        {categories.map((c) => (
+          <option key={c.name} value={c.name}>
+            {c.name} ({c.count})
+          </option>
+        ))}
+      </select>
+
+      <div style={{ display: "flex", gap: "6px", marginBottom: "6px" }}>
+        <input
+          type="number"
+          min="0"
+          step={draft.mode === "radius" ? 0.1 : 1}
+          value={draft.value}
+          onChange={(e) => update({ value: e.target.value })}
+          style={{ ...fieldStyle, width: "70px" }}
+        />
+        <select
+          value={draft.mode}
+          onChange={(e) => update({ mode: e.target.value, value: e.target.value === "radius" ? 0.5 : 10 })}
+          style={{ ...fieldStyle, flex: 1 }}
+        >
+          <option value="radius">km radius</option>
+          <option value="minutes">min travel</option>
+        </select>
+      </div>
+
+      {draft.mode === "minutes" && (
+        <select
+          value={draft.profile}
+          onChange={(e) => update({ profile: e.target.value })}
+          style={{ ...fieldStyle, width: "100%", marginBottom: "6px" }}
+        >
+          <option value="walking">Walking</option>
+          <option value="cycling">Cycling</option>
+          <option value="driving">Driving</option>
+        </select>
+      )}
+
+      <label style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "8px", color: "#374151" }}>
+        <input
+          type="checkbox"
+          checked={draft.dissolve}
+          onChange={(e) => update({ dissolve: e.target.checked })}
+        />
+        Dissolve overlapping areas
+      </label>
+
+      <button
+        onClick={() => onChange({ ...draft, enabled: true })}
+        disabled={loading}
+        style={{
+          width: "100%",
+          padding: "8px",
+          background: "#0B3D2E",
+          color: "white",
+          border: "none",
+          borderRadius: "6px",
+          cursor: "pointer",
+          fontSize: "13px",
+          opacity: loading ? 0.7 : 1
+        }}
+      >
+        {loading ? "Computing..." : "Apply"}
+      </button>
+
+      {poiCount !== null && !error && (
+        <div style={{ color: "#6b7280", marginTop: "6px", fontSize: "12px" }}>
+          {poiCount} {params.category} POIs covered
+        </div>
+      )}
+
+      {error && (
+        <div style={{ color: "#e11d48", marginTop: "6px", fontSize: "12px" }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ServiceAreaPanel;
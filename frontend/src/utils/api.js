@@ -0,0 +1,2 @@
+export const getApiBase = () =>
+  import.meta.env.VITE_DATA_BASE_URL?.replace('/data', '') || "http://localhost:5000";
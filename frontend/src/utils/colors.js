@@ -0,0 +1,33 @@
+export const POI_COLORS = {
+  Education: "#1E90FF",
+  Health: "#E63946",
+  Commercial: "#FF8C00",
+  Religious: "#6A4C93",
+  Recreation: "#2ECC71",
+  Transport: "#34495E",
+  Government: "#F1C40F",
+  Food: "#FF4D6D",
+  Services: "#16A085",
+  Unknown: "#95A5A6",
+};
+
+export const categoryColor = (type) => {
+  const normalized = (type || "").toString().trim();
+  return (
+    POI_COLORS[normalized] ||
+    POI_COLORS[normalized.toLowerCase()?.replace(/\b\w/g, (c) => c.toUpperCase())] ||
+    POI_COLORS.Unknown
+  );
+};
+
+export const COVERAGE_BREAKS = [
+  { max: 0.5, color: "#1a9850" },
+  { max: 1, color: "#91cf60" },
+  { max: 2, color: "#d9ef8b" },
+  { max: 3, color: "#fee08b" },
+  { max: 5, color: "#fc8d59" },
+  { max: Infinity, color: "#d73027" },
+];
+
+export const coverageColor = (distanceKm) =>
+  (COVERAGE_BREAKS.find((b) => distanceKm <= b.max) || COVERAGE_BREAKS[COVERAGE_BREAKS.length - 1]).color;
@@ -0,0 +1,11 @@
+export const formatDistance = (meters) => {
+  if (meters === null || meters === undefined) return "–";
+  return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+};
+
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return "–";
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${Math.max(minutes, 1)} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};